@@ -0,0 +1,175 @@
+const express = require("express");
+const { Player, RawTransfer } = require("./models");
+const { parseFee, parseDate, parseMoney, marketValueExpr } = require("./parsers");
+const { latestSeasonStages } = require("./careerTimeline");
+const {
+  MAX_PAGE_SIZE,
+  parsePagination,
+  paginationStage,
+  pageResponse,
+  escapeRegex,
+} = require("./queryHelpers");
+
+const router = express.Router();
+
+// sort=value | -value | clients | -clients | name | -name
+const SORT_FIELDS = { value: "totalValue", clients: "clientCount", name: "agent" };
+
+// Igrači bez agenta u podacima imaju prazno polje, "-" ili "?"
+const HAS_AGENT = { agent: { $nin: [null, "", "-", "?"] } };
+
+// Zadnja sezona igrača u club_players (klub, pozicija i vrijednost) i ime kluba iz Clubs.
+// Igrači bez zapisa u club_players zadržavaju vrijednost iz players_data.value.
+const latestClubStages = [
+  ...latestSeasonStages("latestClub"),
+  { $addFields: { clubPlayer: { $arrayElemAt: ["$latestClub", 0] } } },
+  {
+    $addFields: {
+      marketValue: {
+        $cond: [
+          { $ifNull: ["$clubPlayer.Player_MarketValue", false] },
+          marketValueExpr("$clubPlayer.Player_MarketValue"),
+          { $ifNull: ["$value", 0] },
+        ],
+      },
+    },
+  },
+];
+
+// GET /api/agents?name=&sort=&page=&pageSize= - agencije s brojem klijenata
+// te ukupnom i prosječnom tržišnom vrijednošću klijenata
+router.get("/", async (req, res) => {
+  try {
+    const { name, sort } = req.query;
+
+    const pagination = parsePagination(req.query);
+    if (!pagination) {
+      return res.status(400).json({
+        message: `page mora biti >= 1, a pageSize između 1 i ${MAX_PAGE_SIZE}`,
+      });
+    }
+
+    let sortStage = { totalValue: -1 };
+    if (sort) {
+      const descending = sort.startsWith("-");
+      const field = SORT_FIELDS[descending ? sort.slice(1) : sort];
+      if (!field) {
+        return res.status(400).json({ message: `Nepoznato sortiranje: ${sort}` });
+      }
+      sortStage = { [field]: descending ? -1 : 1 };
+    }
+
+    const filter = { ...HAS_AGENT };
+    if (name) filter.agent = { ...HAS_AGENT.agent, $regex: escapeRegex(name), $options: "i" };
+
+    const [result] = await Player.aggregate([
+      { $match: filter },
+      ...latestClubStages,
+      {
+        $group: {
+          _id: { $trim: { input: "$agent" } },
+          clientCount: { $sum: 1 },
+          totalValue: { $sum: "$marketValue" },
+          clubs: { $addToSet: "$clubPlayer.ClubID" },
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          agent: "$_id",
+          clientCount: 1,
+          totalValue: 1,
+          averageValue: { $divide: ["$totalValue", "$clientCount"] },
+          clubCount: { $size: "$clubs" },
+        },
+      },
+      { $sort: { ...sortStage, agent: 1 } },
+      paginationStage("agents", pagination),
+    ]).collation({ locale: "hr" });
+
+    res.json(pageResponse("agents", result, pagination));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/agents/:name - klijenti agencije (klub, pozicija, vrijednost) i
+// njihovi transferi iz players_transfers, najnoviji prvi
+router.get("/:name", async (req, res) => {
+  const agent = req.params.name.trim();
+
+  try {
+    const clients = await Player.aggregate([
+      { $match: { agent: { $regex: `^\\s*${escapeRegex(agent)}\\s*$` } } },
+      ...latestClubStages,
+      {
+        $lookup: {
+          from: "Clubs",
+          localField: "clubPlayer.ClubID",
+          foreignField: "club_id",
+          as: "clubData",
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          player_id: 1,
+          given_name: 1,
+          date_of_birth: 1,
+          citizenship: 1,
+          position: { $ifNull: ["$clubPlayer.Player_possition", "$position"] },
+          club_id: { $ifNull: ["$clubPlayer.ClubID", null] },
+          club: {
+            $ifNull: [{ $arrayElemAt: ["$clubData.name", 0] }, "$current_club"],
+          },
+          market_value: "$clubPlayer.Player_MarketValue",
+          marketValue: 1,
+          contract_expires: 1,
+        },
+      },
+      { $sort: { marketValue: -1, given_name: 1 } },
+    ]);
+
+    if (clients.length === 0) {
+      return res.status(404).json({ message: "Agent nije pronađen" });
+    }
+
+    const names = new Map(clients.map((c) => [c.player_id, c.given_name]));
+    const rawTransfers = await RawTransfer.find({ player_id: { $in: [...names.keys()] } }).lean();
+
+    const transfers = rawTransfers
+      .map((t) => {
+        const { type, amount } = parseFee(t.fee);
+        return {
+          player_id: t.player_id,
+          player_name: names.get(t.player_id),
+          season: t.season,
+          date: parseDate(t.date),
+          from: t.left || "",
+          to: t.joined || "",
+          market_value: t.mv || "",
+          marketValue: parseMoney(t.mv),
+          fee: t.fee || "",
+          feeType: type,
+          feeAmount: amount || 0,
+        };
+      })
+      .sort((a, b) => (b.date?.getTime() || 0) - (a.date?.getTime() || 0));
+
+    const totalValue = clients.reduce((sum, c) => sum + c.marketValue, 0);
+
+    res.json({
+      agent,
+      clientCount: clients.length,
+      totalValue,
+      averageValue: totalValue / clients.length,
+      totalFees: transfers.reduce((sum, t) => sum + t.feeAmount, 0),
+      clients,
+      transfers,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
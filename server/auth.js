@@ -0,0 +1,109 @@
+const crypto = require("crypto");
+const { promisify } = require("util");
+const { ROLES, User, Session } = require("./models");
+
+// Prijava kolačićem: token iz kolačića "session" se traži u Sessions po
+// SHA-256 hashu. Lozinke se čuvaju kao scrypt hash sa solju ("sol:hash").
+
+const scrypt = promisify(crypto.scrypt);
+
+const COOKIE_NAME = "session";
+const SESSION_DAYS = 7;
+const MIN_PASSWORD_LENGTH = 8;
+const KEY_LENGTH = 64;
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `${salt}:${hash.toString("hex")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [salt, hash] = String(stored || "").split(":");
+  if (!salt || !hash) return false;
+  const expected = Buffer.from(hash, "hex");
+  if (expected.length === 0) return false;
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Poruka ako lozinka nije dovoljno duga, inače null
+function passwordProblem(password) {
+  return typeof password === "string" && password.length >= MIN_PASSWORD_LENGTH
+    ? null
+    : `Lozinka mora imati barem ${MIN_PASSWORD_LENGTH} znakova`;
+}
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+function readCookie(req, name) {
+  for (const part of (req.headers.cookie || "").split(";")) {
+    const [key, ...value] = part.trim().split("=");
+    if (key === name) return decodeURIComponent(value.join("="));
+  }
+  return null;
+}
+
+// Nova prijava za korisnika: sprema sesiju i postavlja kolačić
+async function startSession(res, user) {
+  const token = crypto.randomBytes(32).toString("hex");
+  const expiresAt = new Date(Date.now() + SESSION_DAYS * 24 * 60 * 60 * 1000);
+  await Session.create({ tokenHash: hashToken(token), user: user._id, expiresAt });
+
+  res.cookie(COOKIE_NAME, token, {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: process.env.NODE_ENV === "production",
+    expires: expiresAt,
+  });
+}
+
+async function endSession(req, res) {
+  const token = readCookie(req, COOKIE_NAME);
+  if (token) await Session.deleteOne({ tokenHash: hashToken(token) });
+  res.clearCookie(COOKIE_NAME);
+}
+
+// Middleware: postavlja req.user ili odgovara 401
+async function authenticate(req, res, next) {
+  try {
+    const token = readCookie(req, COOKIE_NAME);
+    const session = token
+      ? await Session.findOne({ tokenHash: hashToken(token), expiresAt: { $gt: new Date() } })
+          .populate("user")
+          .lean()
+      : null;
+
+    if (!session?.user) {
+      return res.status(401).json({ message: "Prijava je potrebna" });
+    }
+
+    req.user = { id: session.user._id, username: session.user.username, role: session.user.role };
+    next();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+const hasRole = (user, role) => ROLES.indexOf(user?.role) >= ROLES.indexOf(role);
+
+// Middleware: propušta korisnike s ulogom role ili višom (ide nakon authenticate)
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!hasRole(req.user, role)) {
+      return res.status(403).json({ message: `Potrebna je uloga ${role} ili viša` });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  passwordProblem,
+  startSession,
+  endSession,
+  authenticate,
+  hasRole,
+  requireRole,
+};
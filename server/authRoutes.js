@@ -0,0 +1,43 @@
+const express = require("express");
+const { User } = require("./models");
+const { verifyPassword, startSession, endSession, authenticate } = require("./auth");
+
+const router = express.Router();
+
+// POST /api/auth/login { username, password } - postavlja kolačić sesije
+router.post("/login", async (req, res) => {
+  const { username, password } = req.body || {};
+  if (typeof username !== "string" || typeof password !== "string") {
+    return res.status(400).json({ message: "Korisničko ime i lozinka su obavezni" });
+  }
+
+  try {
+    const user = await User.findOne({ username: username.trim().toLowerCase() });
+    // ista poruka za nepostojećeg korisnika i krivu lozinku
+    if (!user || !(await verifyPassword(password, user.passwordHash))) {
+      return res.status(401).json({ message: "Neispravno korisničko ime ili lozinka" });
+    }
+
+    await startSession(res, user);
+    res.json({ username: user.username, role: user.role });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/auth/logout - briše sesiju i kolačić
+router.post("/logout", async (req, res) => {
+  try {
+    await endSession(req, res);
+    res.status(204).end();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/auth/me - prijavljeni korisnik (401 ako prijave nema)
+router.get("/me", authenticate, (req, res) => {
+  res.json({ username: req.user.username, role: req.user.role });
+});
+
+module.exports = router;
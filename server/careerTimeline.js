@@ -0,0 +1,175 @@
+const { RawClub, RawClubPlayer, RawTransfer } = require("./models");
+const {
+  parseMoney,
+  parseFee,
+  parseDate,
+  parseSeason,
+  seasonLabels,
+  seasonStartDate,
+  seasonOfDate,
+  seasonYearExpr,
+} = require("./parsers");
+const { foldText } = require("./search");
+const { idValues } = require("./queryHelpers");
+
+// $lookup koji iz club_players uzima samo zapis iz zadnje sezone igrača
+// (umjesto prvog zapisa koji Mongo vrati). PlayerID može biti broj ili tekst
+// pa se traži po oba oblika (i dalje preko indeksa), a sezona se uspoređuje kao
+// godina koju bi vratio parseSeason.
+function latestSeasonStages(as) {
+  return [
+    {
+      $addFields: {
+        lookupPlayerIds: [
+          { $convert: { input: "$player_id", to: "int", onError: null, onNull: null } },
+          { $toString: "$player_id" },
+        ],
+      },
+    },
+    {
+      $lookup: {
+        from: "club_players",
+        localField: "lookupPlayerIds",
+        foreignField: "PlayerID",
+        pipeline: [
+          { $addFields: { seasonYear: seasonYearExpr("$Season") } },
+          { $sort: { seasonYear: -1 } },
+          { $limit: 1 },
+          { $unset: "seasonYear" },
+        ],
+        as,
+      },
+    },
+    { $unset: "lookupPlayerIds" },
+  ];
+}
+
+// Imena klubova u transferima i u tablici club se ne poklapaju uvijek
+// ("Dinamo Zagreb" / "GNK Dinamo Zagreb")
+function sameClub(a, b) {
+  const x = foldText(a);
+  const y = foldText(b);
+  return !!x && !!y && (x === y || x.includes(y) || y.includes(x));
+}
+
+const isLoanStart = (type) => type === "loan" || type === "loan_fee";
+
+// Posudbe iz niza transfera (po datumu): posudba počinje transferom "loan"
+// ili "loan fee", a završava prvim sljedećim odlaskom iz tog kluba - povratkom
+// ("End of loan") ili otkupom (permanent: true)
+function loanSpells(transfers) {
+  const spells = [];
+
+  for (const t of transfers) {
+    const open = spells.find((s) => !s.until && sameClub(s.club, t.from));
+    if (open) {
+      open.until = t.date;
+      open.permanent = t.feeType !== "end_of_loan";
+    }
+
+    if (isLoanStart(t.feeType)) {
+      spells.push({
+        club: t.to,
+        parentClub: t.from,
+        season: t.season,
+        from: t.date,
+        until: null,
+        fee: t.feeAmount,
+        permanent: false,
+      });
+    }
+  }
+
+  return spells;
+}
+
+function onLoanIn(spells, club, season) {
+  return spells.some(
+    (s) =>
+      sameClub(s.club, club) &&
+      s.from &&
+      seasonOfDate(s.from) <= season &&
+      (!s.until || seasonOfDate(s.until) >= season)
+  );
+}
+
+// Karijera igrača po sezonama: klub, liga, pozicija i vrijednost iz svih
+// sezona u club_players, transferi iz players_transfers i posudbe izvedene iz
+// njih. "current" je zadnji klub iz zadnje sezone.
+async function buildCareerTimeline(playerId) {
+  const [clubRows, rawTransfers] = await Promise.all([
+    RawClubPlayer.find({ PlayerID: idValues(playerId) }).lean(),
+    RawTransfer.find({ player_id: idValues(playerId) }).lean(),
+  ]);
+
+  const clubIds = [...new Set(clubRows.map((row) => row.ClubID))];
+  const clubNames = new Map();
+  const rawClubs = await RawClub.find({ ClubID: { $in: clubIds } }).lean();
+  // ime kluba iz zadnje sezone (Season je u raznim oblicima pa se ne sortira u bazi)
+  rawClubs.sort((a, b) => (parseSeason(a.Season) ?? 0) - (parseSeason(b.Season) ?? 0));
+  for (const c of rawClubs) clubNames.set(c.ClubID, c.Club || c.Club_name || "");
+
+  const transfers = rawTransfers
+    .map((t) => {
+      const season = parseSeason(t.season);
+      const { type, amount } = parseFee(t.fee);
+      return {
+        season,
+        // bez datuma transfer se veže uz početak sezone
+        date: parseDate(t.date) || (season === null ? null : seasonStartDate(season)),
+        from: t.left || "",
+        to: t.joined || "",
+        fee: t.fee || "",
+        feeType: type,
+        feeAmount: amount,
+        market_value: t.mv || "",
+        marketValue: parseMoney(t.mv),
+      };
+    })
+    .filter((t) => t.season !== null)
+    .sort((a, b) => (a.date?.getTime() || 0) - (b.date?.getTime() || 0));
+
+  const loans = loanSpells(transfers);
+
+  const seasons = new Map();
+  const seasonEntry = (season) => {
+    if (!seasons.has(season)) {
+      seasons.set(season, { season, label: seasonLabels(season)[2], clubs: [], transfers: [] });
+    }
+    return seasons.get(season);
+  };
+
+  for (const row of clubRows) {
+    const season = parseSeason(row.Season);
+    if (season === null) continue;
+    const club = clubNames.get(row.ClubID) || "";
+    seasonEntry(season).clubs.push({
+      club_id: Number(row.ClubID) || null,
+      club,
+      league: row.League || "",
+      position: row.Player_possition || "",
+      market_value: row.Player_MarketValue || "",
+      marketValue: parseMoney(row.Player_MarketValue),
+      onLoan: onLoanIn(loans, club, season),
+    });
+  }
+
+  for (const t of transfers) seasonEntry(t.season).transfers.push(t);
+
+  // klub u koji je igrač prešao tijekom sezone dolazi iza kluba iz kojeg je otišao
+  for (const entry of seasons.values()) {
+    const joinedAt = (club) =>
+      entry.transfers.find((t) => sameClub(t.to, club.club))?.date?.getTime() ?? -Infinity;
+    entry.clubs.sort((a, b) => joinedAt(a) - joinedAt(b));
+  }
+
+  const timeline = [...seasons.values()].sort((a, b) => a.season - b.season);
+  const latest = [...timeline].reverse().find((entry) => entry.clubs.length > 0);
+  const current = latest
+    ? { season: latest.season, ...latest.clubs[latest.clubs.length - 1] }
+    : null;
+
+  return { current, seasons: timeline, loans };
+}
+
+module.exports = { latestSeasonStages, buildCareerTimeline };
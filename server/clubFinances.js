@@ -0,0 +1,102 @@
+const { Club, Transfer } = require("./models");
+const { parseMoney, parseFee, parseSeason, seasonLabels } = require("./parsers");
+const { escapeRegex } = require("./queryHelpers");
+
+// Zabilježena bilanca i izračunati neto se smatraju različitima ako se razlikuju
+// za više od 10% većeg iznosa, a barem za MIN_DIFFERENCE
+const TOLERANCE = 0.1;
+const MIN_DIFFERENCE = 250_000;
+
+function disagrees(recorded, computed) {
+  const difference = Math.abs(recorded - computed);
+  const scale = Math.max(Math.abs(recorded), Math.abs(computed));
+  return difference > Math.max(MIN_DIFFERENCE, scale * TOLERANCE);
+}
+
+// Financije kluba po sezonama: bilanca iz Clubs (Club_OverallBalance) uz
+// potrošnju, zaradu i neto iz transfera (Transfers) u kojima je klub "from"
+// ili "to". Transferi se vežu uz klub po imenu iz bilo koje njegove sezone.
+async function buildClubFinances(clubId) {
+  const rows = await Club.find({ club_id: clubId }).sort({ season: 1 }).lean();
+  if (rows.length === 0) return null;
+
+  const names = [...new Set(rows.map((r) => r.name).filter(Boolean))];
+  const nameMatch = names.map((name) => new RegExp(`^\\s*${escapeRegex(name)}\\s*$`, "i"));
+  const transfers = names.length
+    ? await Transfer.find({ $or: [{ from: { $in: nameMatch } }, { to: { $in: nameMatch } }] })
+        .select("season from to fee")
+        .lean()
+    : [];
+
+  const seasons = new Map();
+  const seasonEntry = (season) => {
+    if (!seasons.has(season)) {
+      seasons.set(season, {
+        season,
+        label: seasonLabels(season)[2],
+        balance: "",
+        recordedBalance: null,
+        spend: 0,
+        income: 0,
+        arrivals: 0,
+        departures: 0,
+        unknownFees: 0,
+      });
+    }
+    return seasons.get(season);
+  };
+
+  for (const row of rows) {
+    const entry = seasonEntry(row.season);
+    entry.balance = row.balance || "";
+    entry.recordedBalance = row.balanceAmount ?? parseMoney(row.balance);
+  }
+
+  const isClub = (name) => nameMatch.some((pattern) => pattern.test(name || ""));
+  for (const t of transfers) {
+    const season = parseSeason(t.season);
+    // transfer unutar kluba (npr. iz druge momčadi) ne mijenja bilancu
+    if (season === null || (isClub(t.from) && isClub(t.to))) continue;
+    const entry = seasonEntry(season);
+    const { type, amount } = parseFee(t.fee);
+
+    if (type === "unknown") entry.unknownFees += 1;
+    if (isClub(t.to)) {
+      entry.arrivals += 1;
+      entry.spend += amount || 0;
+    } else {
+      entry.departures += 1;
+      entry.income += amount || 0;
+    }
+  }
+
+  const timeline = [...seasons.values()]
+    .sort((a, b) => a.season - b.season)
+    .map((entry) => {
+      const net = entry.income - entry.spend;
+      const hasBalance = entry.recordedBalance !== null;
+      return {
+        ...entry,
+        net,
+        difference: hasBalance ? entry.recordedBalance - net : null,
+        mismatch: hasBalance && disagrees(entry.recordedBalance, net),
+      };
+    });
+
+  const sum = (field) => timeline.reduce((total, s) => total + (s[field] || 0), 0);
+
+  return {
+    club_id: clubId,
+    name: rows[rows.length - 1].name,
+    seasons: timeline,
+    totals: {
+      spend: sum("spend"),
+      income: sum("income"),
+      net: sum("net"),
+      recordedBalance: sum("recordedBalance"),
+      mismatches: timeline.filter((s) => s.mismatch).length,
+    },
+  };
+}
+
+module.exports = { buildClubFinances };
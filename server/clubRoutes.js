@@ -0,0 +1,338 @@
+const express = require("express");
+const { Player, Club, ClubPlayer } = require("./models");
+const { parseSeason, marketValueExpr } = require("./parsers");
+const {
+  MAX_PAGE_SIZE,
+  parsePagination,
+  paginationStage,
+  pageResponse,
+  escapeRegex,
+} = require("./queryHelpers");
+const { sendError, fieldError } = require("./validation");
+const { requireRole } = require("./auth");
+const { clubPlayers: clubPlayerStage } = require("./etlStages");
+const { writeRaw } = require("./rawRecords");
+const { buildClubFinances } = require("./clubFinances");
+const { resolveSnapshot, clubAsOf } = require("./snapshots");
+
+const router = express.Router();
+
+// Id kluba i igrača u putanji su cijeli brojevi; drugačiji bi u upitu bili NaN
+// i Mongoose bi vratio CastError (500)
+for (const param of ["id", "playerId"]) {
+  router.param(param, (req, res, next, value) => {
+    if (!Number.isInteger(Number(value))) {
+      return res.status(400).json({ message: `${param} mora biti cijeli broj` });
+    }
+    next();
+  });
+}
+
+// Sezona iz query parametra: undefined ako nije zadana, null ako ne valja
+function seasonParam(season) {
+  return season === undefined ? undefined : parseSeason(season);
+}
+
+// GET /api/clubs?league=&country=&name=&season=&page=&pageSize=
+// Svaki klub se vraća jednom, s podacima iz zadnje (ili tražene) sezone.
+router.get("/", async (req, res) => {
+  try {
+    const { league, country, name } = req.query;
+
+    const season = seasonParam(req.query.season);
+    if (season === null) {
+      return res.status(400).json({ message: "Sezona mora biti godina, npr. 2023" });
+    }
+
+    const pagination = parsePagination(req.query);
+    if (!pagination) {
+      return res.status(400).json({
+        message: `page mora biti >= 1, a pageSize između 1 i ${MAX_PAGE_SIZE}`,
+      });
+    }
+
+    const filter = {};
+    if (league) filter.league = { $regex: escapeRegex(league), $options: "i" };
+    if (country) filter.country = { $regex: escapeRegex(country), $options: "i" };
+    if (name) filter.name = { $regex: escapeRegex(name), $options: "i" };
+    if (season !== undefined) filter.season = season;
+
+    const [result] = await Club.aggregate([
+      { $match: filter },
+      { $sort: { club_id: 1, season: -1 } },
+      {
+        $group: {
+          _id: "$club_id",
+          club: { $first: "$$ROOT" },
+          seasons: { $push: "$season" },
+        },
+      },
+      {
+        $replaceRoot: {
+          newRoot: { $mergeObjects: ["$club", { seasons: "$seasons" }] },
+        },
+      },
+      { $project: { _id: 0, __v: 0 } },
+      { $sort: { name: 1, club_id: 1 } },
+      paginationStage("clubs", pagination),
+    ]).collation({ locale: "hr" });
+
+    res.json(pageResponse("clubs", result, pagination));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/clubs/search?q= - kratka lista za pretraživanje po imenu
+router.get("/search", async (req, res) => {
+  try {
+    const q = (req.query.q || "").trim();
+    if (!q) return res.json([]);
+
+    const clubs = await Club.aggregate([
+      { $match: { name: { $regex: escapeRegex(q), $options: "i" } } },
+      { $sort: { season: -1 } },
+      {
+        $group: {
+          _id: "$club_id",
+          name: { $first: "$name" },
+          league: { $first: "$league" },
+          country: { $first: "$country" },
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          club_id: "$_id",
+          name: 1,
+          league: 1,
+          country: 1,
+          // klubovi čije ime počinje upitom idu na vrh
+          startsWith: {
+            $regexMatch: { input: "$name", regex: `^${escapeRegex(q)}`, options: "i" },
+          },
+        },
+      },
+      { $sort: { startsWith: -1, name: 1 } },
+      { $limit: 10 },
+      { $project: { startsWith: 0 } },
+    ]).collation({ locale: "hr" });
+
+    res.json(clubs);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/clubs/:id?snapshot=|asOf= - podaci o klubu i sve sezone u kojima
+// se pojavljuje; uz snapshot ili asOf iz sirovih podataka tog uvoza
+router.get("/:id", async (req, res) => {
+  const clubId = Number(req.params.id);
+
+  try {
+    const { snapshot, status, message } = await resolveSnapshot(req.query);
+    if (message) return res.status(status).json({ message });
+    if (snapshot) {
+      const club = await clubAsOf(snapshot, clubId);
+      if (!club) {
+        return res.status(404).json({ message: `Klub nije u snapshotu ${snapshot.run}` });
+      }
+      return res.json(club);
+    }
+
+    const rows = await Club.find({ club_id: clubId })
+      .sort({ season: -1 })
+      .select("-_id -__v")
+      .lean();
+
+    if (rows.length === 0) {
+      return res.status(404).json({ message: "Klub nije pronađen" });
+    }
+
+    const squadSeasons = await ClubPlayer.distinct("season", { club_id: clubId });
+
+    res.json({
+      ...rows[0],
+      seasons: rows.map(({ season, league, balance }) => ({
+        season,
+        league,
+        balance,
+      })),
+      squadSeasons: squadSeasons.sort((a, b) => b - a),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/clubs/:id/finances - bilanca po sezonama uz potrošnju, zaradu i neto
+// izračunate iz transfera; mismatch označava sezone u kojima se ne slažu
+router.get("/:id/finances", async (req, res) => {
+  const clubId = Number(req.params.id);
+
+  try {
+    const finances = await buildClubFinances(clubId);
+    if (!finances) {
+      return res.status(404).json({ message: "Klub nije pronađen" });
+    }
+
+    res.json(finances);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/clubs/:id/players?season= - momčad kluba u sezoni
+// (bez sezone vraća se zadnja sezona za koju postoje podaci)
+router.get("/:id/players", async (req, res) => {
+  const clubId = Number(req.params.id);
+
+  try {
+    let season = seasonParam(req.query.season);
+    if (season === null) {
+      return res.status(400).json({ message: "Sezona mora biti godina, npr. 2023" });
+    }
+
+    if (season === undefined) {
+      const latest = await ClubPlayer.findOne({ club_id: clubId })
+        .sort({ season: -1 })
+        .lean();
+      if (!latest) {
+        return res.status(404).json({ message: "Nema podataka o momčadi kluba" });
+      }
+      season = latest.season;
+    }
+
+    const players = await ClubPlayer.aggregate([
+      { $match: { club_id: clubId, season } },
+      {
+        $lookup: {
+          from: "players_data",
+          localField: "player_id",
+          foreignField: "player_id",
+          as: "playerData",
+        },
+      },
+      {
+        $addFields: {
+          player: { $arrayElemAt: ["$playerData", 0] },
+          marketValue: marketValueExpr("$market_value"),
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          player_id: 1,
+          player_name: 1,
+          position: 1,
+          league: 1,
+          market_value: 1,
+          marketValue: 1,
+          date_of_birth: "$player.date_of_birth",
+          citizenship: "$player.citizenship",
+        },
+      },
+      { $sort: { marketValue: -1, player_name: 1 } },
+    ]);
+
+    res.json({ club_id: clubId, season, players });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/clubs/:id/players - igrač u momčadi kluba za sezonu
+// { season, player_id, player_name, position, market_value, league }
+// Upisi idu i u club_players (rawRecords.js) pa ih ETL ne pregazi.
+router.post("/:id/players", requireRole("editor"), async (req, res) => {
+  const clubId = Number(req.params.id);
+
+  try {
+    if (!(await Club.exists({ club_id: clubId }))) {
+      return res.status(404).json({ message: "Klub nije pronađen" });
+    }
+
+    const entry = new ClubPlayer({ ...(req.body || {}), club_id: clubId });
+    await entry.validate();
+
+    if (!(await Player.exists({ player_id: entry.player_id }))) {
+      return fieldError(res, "player_id", "Igrač ne postoji");
+    }
+    const duplicate = await ClubPlayer.exists({
+      club_id: clubId,
+      season: entry.season,
+      player_id: entry.player_id,
+    });
+    if (duplicate) {
+      return fieldError(res, "player_id", "Igrač je već u momčadi za tu sezonu", 409);
+    }
+
+    await entry.save();
+    await writeRaw(clubPlayerStage, null, entry);
+    res.status(201).json(entry);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// PUT /api/clubs/:id/players/:playerId?season= - izmjena zapisa u momčadi
+router.put("/:id/players/:playerId", requireRole("editor"), async (req, res) => {
+  const key = {
+    club_id: Number(req.params.id),
+    player_id: Number(req.params.playerId),
+    season: Number(req.query.season),
+  };
+  const changes = req.body || {};
+
+  try {
+    if (!Number.isInteger(key.season)) {
+      return fieldError(res, "season", "Parametar season je obavezan");
+    }
+    for (const field of ["club_id", "player_id", "season"]) {
+      if (field in changes && Number(changes[field]) !== key[field]) {
+        return fieldError(res, field, "Polje se ne može mijenjati, obriši i ponovno dodaj zapis");
+      }
+    }
+
+    const previous = await ClubPlayer.findOne(key);
+    if (!previous) {
+      return res.status(404).json({ message: "Igrač nije u momčadi za tu sezonu" });
+    }
+
+    const entry = await ClubPlayer.findOneAndUpdate(
+      key,
+      { $set: changes },
+      { new: true, runValidators: true }
+    );
+    await writeRaw(clubPlayerStage, previous, entry);
+    res.json(entry);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// DELETE /api/clubs/:id/players/:playerId?season=
+router.delete("/:id/players/:playerId", requireRole("editor"), async (req, res) => {
+  const season = Number(req.query.season);
+
+  try {
+    if (!Number.isInteger(season)) {
+      return fieldError(res, "season", "Parametar season je obavezan");
+    }
+
+    const entry = await ClubPlayer.findOneAndDelete({
+      club_id: Number(req.params.id),
+      player_id: Number(req.params.playerId),
+      season,
+    });
+    if (!entry) {
+      return res.status(404).json({ message: "Igrač nije u momčadi za tu sezonu" });
+    }
+    await writeRaw(clubPlayerStage, entry, null);
+    res.status(204).end();
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
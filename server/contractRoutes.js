@@ -0,0 +1,125 @@
+const express = require("express");
+const { CleanPlayer } = require("./models");
+const { parseMoney } = require("./parsers");
+const {
+  MAX_PAGE_SIZE,
+  parsePagination,
+  paginationStage,
+  pageResponse,
+  escapeRegex,
+} = require("./queryHelpers");
+
+const router = express.Router();
+
+const DEFAULT_MONTHS = 12;
+const MAX_MONTHS = 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function addMonths(date, months) {
+  const result = new Date(date);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  return result;
+}
+
+function addYears(date, years) {
+  const result = new Date(date);
+  result.setUTCFullYear(result.getUTCFullYear() + years);
+  return result;
+}
+
+// Parametar iz query stringa kao nenegativan cijeli broj; undefined ako nije zadan
+function parseCount(raw) {
+  if (raw === undefined || raw === "") return undefined;
+  const value = Number(raw);
+  return Number.isInteger(value) && value >= 0 ? value : null;
+}
+
+// GET /api/contracts/expiring?months=&league=&position=&minAge=&maxAge=
+//   &minValue=&maxValue=&page=&pageSize=
+// Igrači (kolekcija Players) kojima ugovor istječe u sljedećih "months"
+// mjeseci, po datumu isteka. Liga, pozicija i vrijednost su iz zadnje sezone.
+router.get("/expiring", async (req, res) => {
+  try {
+    const { league, position } = req.query;
+
+    const months = parseCount(req.query.months) ?? DEFAULT_MONTHS;
+    if (months === null || months < 1 || months > MAX_MONTHS) {
+      return res.status(400).json({ message: `months mora biti između 1 i ${MAX_MONTHS}` });
+    }
+
+    const ages = {};
+    for (const key of ["minAge", "maxAge"]) {
+      ages[key] = parseCount(req.query[key]);
+      if (ages[key] === null) {
+        return res.status(400).json({ message: `${key} mora biti cijeli broj` });
+      }
+    }
+
+    const valueRange = {};
+    for (const [key, operator] of [
+      ["minValue", "$gte"],
+      ["maxValue", "$lte"],
+    ]) {
+      const raw = req.query[key];
+      if (!raw) continue;
+      const parsed = parseMoney(raw);
+      if (parsed === null) {
+        return res.status(400).json({ message: `Neispravan format za ${key}` });
+      }
+      valueRange[operator] = parsed;
+    }
+
+    const pagination = parsePagination(req.query);
+    if (!pagination) {
+      return res.status(400).json({
+        message: `page mora biti >= 1, a pageSize između 1 i ${MAX_PAGE_SIZE}`,
+      });
+    }
+
+    const now = new Date();
+    const until = addMonths(now, months);
+    const filter = { contractExpires: { $gte: now, $lte: until } };
+    if (league) filter.league = { $regex: escapeRegex(league), $options: "i" };
+    if (position) filter.position = { $regex: escapeRegex(position), $options: "i" };
+    if (Object.keys(valueRange).length) filter.value = valueRange;
+
+    // dob N znači rođen između (danas - N - 1 godina, danas - N godina]
+    if (ages.minAge !== undefined || ages.maxAge !== undefined) {
+      filter.birthDate = {};
+      if (ages.minAge !== undefined) filter.birthDate.$lte = addYears(now, -ages.minAge);
+      if (ages.maxAge !== undefined) filter.birthDate.$gt = addYears(now, -ages.maxAge - 1);
+    }
+
+    const [result] = await CleanPlayer.aggregate([
+      { $match: filter },
+      { $sort: { contractExpires: 1, value: -1, player_id: 1 } },
+      paginationStage("players", pagination, [
+        {
+          $project: {
+            _id: 0,
+            player_id: 1,
+            name: 1,
+            birthDate: 1,
+            citizenship: 1,
+            position: 1,
+            currentClub: 1,
+            clubId: 1,
+            league: 1,
+            agent: 1,
+            value: 1,
+            contractExpires: 1,
+            daysLeft: {
+              $ceil: { $divide: [{ $subtract: ["$contractExpires", now] }, DAY_MS] },
+            },
+          },
+        },
+      ]),
+    ]);
+
+    res.json({ months, until, ...pageResponse("players", result, pagination) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
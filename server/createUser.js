@@ -0,0 +1,55 @@
+// Dodavanje korisnika iz komandne linije (prvi admin se ne može dodati preko API-ja).
+//
+//   node createUser.js <korisničko ime> [uloga]
+//
+//   uloga:   viewer | analyst | editor | admin (zadano viewer)
+//
+// Lozinka se čita iz varijable USER_PASSWORD ili se upisuje nakon pokretanja.
+// Ako korisnik već postoji, mijenjaju mu se uloga i lozinka.
+
+const readline = require("readline");
+const mongoose = require("mongoose");
+const { MONGO_URL } = require("./db");
+const { ROLES, User } = require("./models");
+const { hashPassword, passwordProblem } = require("./auth");
+
+function askPassword() {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise((resolve) =>
+    rl.question("Lozinka: ", (answer) => {
+      rl.close();
+      resolve(answer);
+    })
+  );
+}
+
+async function main() {
+  const [username, role = "viewer"] = process.argv.slice(2);
+  if (!username || !ROLES.includes(role)) {
+    console.log(`Upotreba: node createUser.js <korisničko ime> [${ROLES.join("|")}]`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const password = process.env.USER_PASSWORD ?? (await askPassword());
+  const problem = passwordProblem(password);
+  if (problem) throw new Error(problem);
+
+  await mongoose.connect(MONGO_URL);
+  try {
+    const passwordHash = await hashPassword(password);
+    const existing = await User.findOne({ username: username.trim().toLowerCase() });
+    const user = existing || new User({ username });
+    user.set({ role, passwordHash });
+    await user.save();
+
+    console.log(`${existing ? "Ažuriran" : "Dodan"} korisnik ${user.username} (${user.role})`);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch((err) => {
+  console.error("❌ Greška:", err.message);
+  process.exitCode = 1;
+});
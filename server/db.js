@@ -0,0 +1,4 @@
+const MONGO_URL =
+  process.env.MONGO_URL || "mongodb://127.0.0.1:27017/projekt-transfermarkt";
+
+module.exports = { MONGO_URL };
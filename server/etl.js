@@ -0,0 +1,263 @@
+// Jedinstveni ETL: prepisuje sirove kolekcije (club, club_players,
+// players_transfers, players_data) u očišćene kolekcije.
+//
+//   node etl.js                     sve faze
+//   node etl.js players transfers   samo navedene faze (i faze o kojima ovise)
+//   node etl.js --dry-run           samo izvještaj, bez upisa u bazu
+//   node etl.js --prune             briše zapise kojih više nema u izvoru
+//   node etl.js --list              popis faza
+//
+// Zapisi se upisuju upsertom po ključu faze (player_id, club_id, season...),
+// pa se ETL može ponavljati bez brisanja kolekcija. Odbijeni zapisi i
+// vrijednosti koje se nisu mogle pročitati spremaju se u kolekciju Rejections.
+// Faza events uspoređuje stanje igrača s prethodnim pokretanjem i promjene
+// sprema kao događaje (Events) te ih šalje na EVENTS_WEBHOOK_URL.
+
+const mongoose = require("mongoose");
+const { MONGO_URL } = require("./db");
+const { STAGES } = require("./etlStages");
+const { Rejection } = require("./models");
+const { createRejectionReport } = require("./parsers");
+const { saveEvents } = require("./events");
+
+const BATCH_SIZE = 1000;
+const MAX_REJECTION_SAMPLES = 5;
+
+// Redoslijed izvođenja: svaka faza nakon faza o kojima ovisi
+function resolveStages(names) {
+  const byName = new Map(STAGES.map((s) => [s.name, s]));
+  const ordered = [];
+  const visit = (name, path = []) => {
+    const stage = byName.get(name);
+    if (!stage) throw new Error(`Nepoznata faza: ${name}`);
+    if (path.includes(name)) throw new Error(`Kružna ovisnost: ${[...path, name].join(" -> ")}`);
+    if (ordered.includes(stage)) return;
+    stage.dependsOn.forEach((dep) => visit(dep, [...path, name]));
+    ordered.push(stage);
+  };
+  (names.length ? names : STAGES.map((s) => s.name)).forEach((name) => visit(name));
+  return ordered;
+}
+
+function normalize(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return JSON.stringify(value.map(normalize));
+  return value === undefined ? null : value;
+}
+
+function keyOf(doc, fields) {
+  return JSON.stringify(fields.map((f) => normalize(doc[f])));
+}
+
+function changedFields(existing, doc) {
+  const changes = {};
+  for (const [field, value] of Object.entries(doc)) {
+    if (normalize(existing[field]) !== normalize(value)) changes[field] = value;
+  }
+  return changes;
+}
+
+// Zapisi iz ciljne kolekcije za jedan blok izvora, po ključu. Traže se po
+// prvom polju ključa (indeksirano), a lean zapisi dobivaju tipove iz sheme
+// (hydrate) kako bi se i stariji zapisi (npr. datum spremljen kao tekst)
+// usporedili s novima.
+async function existingDocs(stage, docs) {
+  const [first] = stage.key;
+  const values = [...new Set(docs.map((doc) => doc[first]))];
+  const existing = new Map();
+  for (const raw of await stage.target.find({ [first]: { $in: values } }).lean()) {
+    const doc = stage.target.hydrate(raw).toObject();
+    existing.set(keyOf(doc, stage.key), doc);
+  }
+  return existing;
+}
+
+// Izvor se čita kursorom i obrađuje u blokovima od BATCH_SIZE zapisa, pa se u
+// memoriji drže samo ključevi (za duplikate i --prune), ne cijele kolekcije.
+async function runStage(stage, { dryRun, prune }) {
+  const report = {
+    stage: stage.name,
+    inserted: 0,
+    updated: 0,
+    skipped: 0,
+    rejected: 0,
+    removed: 0,
+    unparsed: 0,
+    events: [],
+    rejections: createRejectionReport({ source: "etl", stage: stage.name }),
+  };
+  const seen = new Set();
+
+  const write = async (ops) => {
+    if (!dryRun && ops.length) await stage.target.bulkWrite(ops, { ordered: false });
+  };
+
+  const processBatch = async (batch) => {
+    const existing = await existingDocs(stage, batch.map((b) => b.doc));
+    const ops = [];
+
+    for (const { doc, reject } of batch) {
+      const key = keyOf(doc, stage.key);
+      if (seen.has(key)) {
+        // isti ključ se već pojavio u izvoru (duplikat)
+        report.skipped++;
+        continue;
+      }
+      seen.add(key);
+
+      const current = existing.get(key);
+      if (!current) {
+        if (stage.updateOnly) {
+          reject(`ne postoji u ciljnoj kolekciji: ${key}`);
+          continue;
+        }
+        report.inserted++;
+        ops.push({ insertOne: { document: doc } });
+        continue;
+      }
+
+      const changes = changedFields(current, doc);
+      if (Object.keys(changes).length === 0) {
+        report.skipped++;
+        continue;
+      }
+      report.updated++;
+      if (stage.events) report.events.push(...stage.events(current, doc));
+      ops.push({ updateOne: { filter: { _id: current._id }, update: { $set: changes } } });
+    }
+
+    await write(ops);
+  };
+
+  if (stage.prepare) await stage.prepare();
+
+  let batch = [];
+  for await (const row of stage.source()) {
+    const record = String(row._id ?? "");
+    const reject = (reason) => {
+      report.rejected++;
+      report.rejections.add({ record, kind: "record", message: reason });
+    };
+    const field = (name) => (kind, input) => {
+      report.unparsed++;
+      report.rejections.field(name, { record })(kind, input);
+    };
+
+    const result = stage.transform(row, field);
+    if (result.reject) {
+      reject(result.reject);
+      continue;
+    }
+
+    const { doc } = result;
+    const error = new stage.target(doc).validateSync(Object.keys(doc));
+    if (error) {
+      reject(
+        Object.entries(error.errors)
+          .map(([field, e]) => `${field}: ${e.message}`)
+          .join(", ")
+      );
+      continue;
+    }
+
+    batch.push({ doc, reject });
+    if (batch.length === BATCH_SIZE) {
+      await processBatch(batch);
+      batch = [];
+    }
+  }
+  if (batch.length) await processBatch(batch);
+
+  if (prune && !stage.updateOnly) {
+    const keyFields = Object.fromEntries(stage.key.map((f) => [f, 1]));
+    let ops = [];
+    for await (const raw of stage.target.find({}, keyFields).lean()) {
+      const doc = stage.target.hydrate(raw).toObject();
+      if (seen.has(keyOf(doc, stage.key))) continue;
+      report.removed++;
+      ops.push({ deleteOne: { filter: { _id: doc._id } } });
+      if (ops.length === BATCH_SIZE) {
+        await write(ops);
+        ops = [];
+      }
+    }
+    await write(ops);
+  }
+
+  if (!dryRun) {
+    await saveRejections("etl", stage.name, report.rejections.entries);
+    await saveEvents(report.events);
+  }
+
+  return report;
+}
+
+async function saveRejections(source, stage, entries) {
+  await Rejection.deleteMany({ source, stage });
+  for (let i = 0; i < entries.length; i += BATCH_SIZE) {
+    await Rejection.insertMany(entries.slice(i, i + BATCH_SIZE), { ordered: false });
+  }
+}
+
+function printReport(reports, { dryRun }) {
+  console.log(dryRun ? "\nIzvještaj (dry run, ništa nije upisano):" : "\nIzvještaj:");
+  console.table(
+    reports.map(({ stage, inserted, updated, skipped, rejected, removed, unparsed, events }) => ({
+      faza: stage,
+      dodano: inserted,
+      "ažurirano": updated,
+      "preskočeno": skipped,
+      odbijeno: rejected,
+      obrisano: removed,
+      "neprepoznate vrijednosti": unparsed,
+      "događaji": events.length,
+    }))
+  );
+  for (const r of reports) {
+    const { entries } = r.rejections;
+    if (entries.length === 0) continue;
+
+    console.log(`\nOdbijeno u fazi ${r.stage}:`);
+    for (const { field, kind, count } of r.rejections.summary()) {
+      console.log(`  ${field || "zapis"} (${kind}): ${count}`);
+    }
+    console.log(`Primjeri (prvih ${Math.min(entries.length, MAX_REJECTION_SAMPLES)}):`);
+    for (const e of entries.slice(0, MAX_REJECTION_SAMPLES)) {
+      const where = [e.record, e.field, e.input !== undefined && `"${e.input}"`];
+      console.log(`  - ${where.filter(Boolean).join(" ")}: ${e.message}`);
+    }
+  }
+  if (!dryRun) console.log("\nSvi odbijeni podaci: GET /api/rejections");
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const options = { dryRun: args.includes("--dry-run"), prune: args.includes("--prune") };
+
+  if (args.includes("--list")) {
+    for (const s of STAGES) {
+      const deps = s.dependsOn.length ? ` (ovisi o: ${s.dependsOn.join(", ")})` : "";
+      console.log(`${s.name.padEnd(14)} ${s.description}${deps}`);
+    }
+    return;
+  }
+
+  const stages = resolveStages(args.filter((a) => !a.startsWith("--")));
+
+  await mongoose.connect(MONGO_URL);
+  try {
+    const reports = [];
+    for (const stage of stages) {
+      console.log(`▶ ${stage.name}: ${stage.description}`);
+      reports.push(await runStage(stage, options));
+    }
+    printReport(reports, options);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch((err) => {
+  console.error("❌ Greška:", err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,286 @@
+const {
+  Player,
+  RawClub,
+  RawClubPlayer,
+  RawTransfer,
+  Club,
+  ClubPlayer,
+  CleanPlayer,
+  Transfer,
+  PlayerState,
+} = require("./models");
+const { searchFields } = require("./search");
+const { idValues } = require("./queryHelpers");
+const { detectEvents } = require("./events");
+const {
+  isEmptyMarker,
+  parseMoney,
+  parseFee,
+  parseDate,
+  parseSeason,
+  formatIsoDay,
+} = require("./parsers");
+
+// Faze ETL-a (pokreće ih etl.js). Svaka faza čita izvorne zapise (source),
+// pretvara svaki u očišćeni zapis (transform) i upisuje ga u ciljnu kolekciju
+// (target) upsertom po poljima iz key. transform vraća { doc } ili
+// { reject: "razlog" }. Drugi argument transforma, field(ime), daje reject
+// funkciju za parsere pa se neprepoznata vrijednost bilježi u izvještaju, a
+// zapis se upisuje bez nje. Faza s funkcijom events(prethodni, novi) za
+// svaki promijenjeni zapis vraća događaje koje etl.js sprema u Events.
+// source vraća upit (čita se kursorom) ili niz; podatke koje transform treba
+// unaprijed učitava async prepare().
+
+function toId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+// Tekstualna vrijednost se zadržava samo ako ju parser može pročitati
+function checkedText(value, parse, reject) {
+  if (isEmptyMarker(value)) return value ? String(value).trim() : "";
+  return parse(value, reject) === null ? "" : String(value).trim();
+}
+
+const clubs = {
+  name: "clubs",
+  description: "club -> Clubs",
+  dependsOn: [],
+  target: Club,
+  key: ["club_id", "season"],
+  source: () => RawClub.find().lean(),
+  transform(c, field) {
+    const club_id = toId(c.ClubID);
+    const season = parseSeason(c.Season);
+    if (!club_id) return { reject: `neispravan ClubID: ${c.ClubID}` };
+    if (!season) return { reject: `neispravna sezona: ${c.Season}` };
+
+    return {
+      doc: {
+        club_id,
+        season,
+        name: c.Club || c.Club_name || "",
+        league: c.League || "",
+        country: c.Country || "",
+        balance: checkedText(c.Club_OverallBalance, parseMoney, field("Club_OverallBalance")),
+        balanceAmount: parseMoney(c.Club_OverallBalance),
+      },
+    };
+  },
+};
+
+const clubPlayers = {
+  name: "clubPlayers",
+  description: "club_players -> ClubPlayers",
+  dependsOn: [],
+  target: ClubPlayer,
+  // player_id prvi jer etl.js postojeće zapise traži po prvom polju ključa
+  key: ["player_id", "club_id", "season"],
+  source: () => RawClubPlayer.find().lean(),
+  transform(p, field) {
+    const club_id = toId(p.ClubID);
+    const player_id = toId(p.PlayerID);
+    const season = parseSeason(p.Season);
+    if (!club_id) return { reject: `neispravan ClubID: ${p.ClubID}` };
+    if (!player_id) return { reject: `neispravan PlayerID: ${p.PlayerID}` };
+    if (!season) return { reject: `neispravna sezona: ${p.Season}` };
+
+    return {
+      doc: {
+        club_id,
+        player_id,
+        season,
+        league: p.League || "",
+        player_name: p.Player_name || "",
+        position: p.Player_possition || "",
+        market_value: checkedText(
+          p.Player_MarketValue,
+          parseMoney,
+          field("Player_MarketValue")
+        ),
+      },
+    };
+  },
+  // obrnuto od transform, za upise preko API-ja (rawRecords.js)
+  raw: RawClubPlayer,
+  rawFilter: (doc) => ({ PlayerID: idValues(doc.player_id) }),
+  toRaw: (doc) => ({
+    ClubID: doc.club_id,
+    PlayerID: doc.player_id,
+    Season: doc.season,
+    League: doc.league ?? "",
+    Player_name: doc.player_name ?? "",
+    Player_possition: doc.position ?? "",
+    Player_MarketValue: doc.market_value ?? "",
+  }),
+};
+
+const transfers = {
+  name: "transfers",
+  description: "players_transfers -> Transfers",
+  dependsOn: [],
+  target: Transfer,
+  key: ["player_id", "season", "date", "from", "to"],
+  source: () => RawTransfer.find().lean(),
+  transform(t, field) {
+    const player_id = toId(t.player_id);
+    if (!player_id) return { reject: `neispravan player_id: ${t.player_id}` };
+    if (parseSeason(t.season) === null) return { reject: `neispravna sezona: ${t.season}` };
+    const knownFee = (value, reject) =>
+      parseFee(value, reject).type === "unknown" ? null : value;
+
+    return {
+      doc: {
+        player_id,
+        season: String(t.season).trim(),
+        date: parseDate(t.date, field("date")),
+        from: t.left || "",
+        to: t.joined || "",
+        market_value: checkedText(t.mv, parseMoney, field("mv")),
+        fee: checkedText(t.fee, knownFee, field("fee")),
+      },
+    };
+  },
+  raw: RawTransfer,
+  rawFilter: (doc) => ({ player_id: idValues(doc.player_id) }),
+  toRaw: (doc) => ({
+    player_id: doc.player_id,
+    season: doc.season,
+    date: formatIsoDay(doc.date),
+    left: doc.from,
+    joined: doc.to,
+    mv: doc.market_value ?? "",
+    fee: doc.fee ?? "",
+  }),
+};
+
+// Trenutna pozicija i vrijednost igrača dolaze iz zadnje sezone u ClubPlayers
+async function latestClubRows() {
+  const rows = await ClubPlayer.aggregate([
+    { $sort: { season: 1 } },
+    { $group: { _id: "$player_id", row: { $last: "$$ROOT" } } },
+  ]).allowDiskUse(true);
+  return new Map(rows.map(({ _id, row }) => [_id, row]));
+}
+
+const players = {
+  name: "players",
+  description: "players_data + ClubPlayers -> Players",
+  dependsOn: ["clubPlayers"],
+  target: CleanPlayer,
+  key: ["player_id"],
+  async prepare() {
+    this.latest = await latestClubRows();
+  },
+  source: () => Player.find().lean(),
+  transform(p, field) {
+    const player_id = toId(p.player_id);
+    if (!player_id) return { reject: `neispravan player_id: ${p.player_id}` };
+    const clubRow = this.latest.get(player_id);
+    // vrijednost iz ClubPlayers je već provjerena u fazi clubPlayers
+    const value = clubRow?.market_value
+      ? parseMoney(clubRow.market_value)
+      : parseMoney(p.market_value, field("market_value"));
+
+    return {
+      doc: {
+        player_id,
+        name: p.given_name || "",
+        birthDate: parseDate(p.date_of_birth, field("date_of_birth")),
+        citizenship: p.citizenship || "",
+        placeOfBirth: p.place_of_birth || "",
+        position: clubRow?.position || p.position || "",
+        currentClub: p.current_club || "",
+        clubId: clubRow?.club_id ?? null,
+        league: clubRow?.league || "",
+        agent: p.agent || "",
+        value,
+        contractJoined: parseDate(p.contract_joined, field("contract_joined")),
+        contractExpires: parseDate(p.contract_expires, field("contract_expires")),
+      },
+    };
+  },
+};
+
+// Upisuje "value" u players_data. Samo ažurira,
+// igrači kojih nema u players_data se odbijaju.
+const playerValues = {
+  name: "playerValues",
+  description: "ClubPlayers -> players_data.value",
+  dependsOn: ["clubPlayers"],
+  target: Player,
+  key: ["player_id"],
+  updateOnly: true,
+  async prepare() {
+    this.latest = await latestClubRows();
+  },
+  source() {
+    return [...this.latest.values()];
+  },
+  transform(row) {
+    return { doc: { player_id: row.player_id, value: parseMoney(row.market_value) } };
+  },
+};
+
+// Polja za pretraživanje (search.js) u players_data. Zapisi upisani preko API-ja
+// ih dobiju pri spremanju, a ova faza ih računa za uvezene zapise.
+const playerSearch = {
+  name: "playerSearch",
+  description: "players_data -> players_data.search_*",
+  dependsOn: [],
+  target: Player,
+  key: ["player_id"],
+  updateOnly: true,
+  source: () => Player.find().lean(),
+  transform(p) {
+    const player_id = toId(p.player_id);
+    if (!player_id) return { reject: `neispravan player_id: ${p.player_id}` };
+    return { doc: { player_id, ...searchFields(p) } };
+  },
+};
+
+// Stanje svakog igrača (vrijednost, klub, ugovor, transferi) nakon ETL-a.
+// Razlika prema stanju iz prethodnog pokretanja postaje događaj (events.js);
+// prvo pokretanje samo sprema stanje.
+const events = {
+  name: "events",
+  description: "Players + Transfers -> PlayerStates, Events",
+  dependsOn: ["players", "transfers"],
+  target: PlayerState,
+  key: ["player_id"],
+  async prepare() {
+    const [transferRows, clubRows] = await Promise.all([
+      Transfer.find().lean(),
+      Club.find({}, "club_id name").sort({ season: 1 }).lean(),
+    ]);
+    this.transfersById = new Map(transferRows.map((t) => [String(t._id), t]));
+    this.transferIds = new Map();
+    for (const t of transferRows) {
+      const ids = this.transferIds.get(t.player_id) || [];
+      ids.push(String(t._id));
+      this.transferIds.set(t.player_id, ids);
+    }
+    this.clubNames = new Map(clubRows.map((c) => [c.club_id, c.name]));
+  },
+  source: () => CleanPlayer.find().lean(),
+  transform(p) {
+    return {
+      doc: {
+        player_id: p.player_id,
+        name: p.name || "",
+        value: p.value ?? null,
+        clubId: p.clubId ?? null,
+        club: this.clubNames.get(p.clubId) || p.currentClub || "",
+        contractExpires: p.contractExpires ?? null,
+        transfers: (this.transferIds.get(p.player_id) || []).sort(),
+      },
+    };
+  },
+  events(previous, current) {
+    return detectEvents(previous, current, this.transfersById);
+  },
+};
+
+const STAGES = [clubs, clubPlayers, transfers, players, playerValues, playerSearch, events];
+
+module.exports = { STAGES, clubPlayers, transfers };
@@ -0,0 +1,125 @@
+const express = require("express");
+const { EVENT_TYPES, Event, User, Watchlist } = require("./models");
+const { parseDate } = require("./parsers");
+const {
+  MAX_PAGE_SIZE,
+  parsePagination,
+  paginationStage,
+  pageResponse,
+} = require("./queryHelpers");
+
+// Događaji koje ETL bilježi kad se igraču promijeni vrijednost, klub ili
+// ugovor, odnosno kad ima novi transfer (faza events, events.js)
+const router = express.Router();
+
+const DEFAULT_NOTIFICATIONS = 20;
+const MAX_NOTIFICATIONS = 100;
+
+// Igrači koje korisnik prati: svi s njegovih i s njim podijeljenih popisa
+async function followedPlayerIds(userId) {
+  const lists = await Watchlist.find(
+    { $or: [{ owner: userId }, { sharedWith: userId }] },
+    "entries.player_id"
+  ).lean();
+  return [...new Set(lists.flatMap((l) => l.entries.map((e) => e.player_id)))];
+}
+
+// GET /api/events?type=&player=&since=&following=&page=&pageSize=
+// Najnoviji prvi. type je jedan ili više tipova odvojenih zarezom,
+// following=true ostavlja samo igrače s korisnikovih popisa.
+router.get("/", async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query);
+    if (!pagination) {
+      return res.status(400).json({
+        message: `page mora biti >= 1, a pageSize između 1 i ${MAX_PAGE_SIZE}`,
+      });
+    }
+
+    const filter = {};
+    if (req.query.type) {
+      const types = req.query.type.split(",").map((t) => t.trim());
+      const unknown = types.find((t) => !EVENT_TYPES.includes(t));
+      if (unknown) {
+        return res.status(400).json({
+          message: `Nepoznat tip događaja: ${unknown} (dozvoljeno: ${EVENT_TYPES.join(", ")})`,
+        });
+      }
+      filter.type = { $in: types };
+    }
+    if (req.query.player) {
+      const playerId = Number(req.query.player);
+      if (!Number.isInteger(playerId)) {
+        return res.status(400).json({ message: "player mora biti ID igrača" });
+      }
+      filter.player_id = playerId;
+    }
+    if (req.query.since) {
+      const since = parseDate(req.query.since);
+      if (!since) {
+        return res.status(400).json({ message: "Neispravan datum za since" });
+      }
+      filter.createdAt = { $gte: since };
+    }
+    if (req.query.following === "true") {
+      const followed = await followedPlayerIds(req.user.id);
+      filter.player_id = filter.player_id
+        ? { $in: followed.filter((id) => id === filter.player_id) }
+        : { $in: followed };
+    }
+
+    const [result] = await Event.aggregate([
+      { $match: filter },
+      { $sort: { createdAt: -1, _id: -1 } },
+      paginationStage("events", pagination),
+    ]);
+
+    res.json(pageResponse("events", result, pagination));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/events/notifications?limit= - zadnji događaji igrača koje korisnik
+// prati i broj onih koje još nije pregledao (unread)
+router.get("/notifications", async (req, res) => {
+  const limit = req.query.limit === undefined ? DEFAULT_NOTIFICATIONS : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_NOTIFICATIONS) {
+    return res.status(400).json({ message: `limit mora biti između 1 i ${MAX_NOTIFICATIONS}` });
+  }
+
+  try {
+    const [followed, user] = await Promise.all([
+      followedPlayerIds(req.user.id),
+      User.findById(req.user.id, "eventsSeenAt").lean(),
+    ]);
+    const filter = { player_id: { $in: followed } };
+    const seenAt = user?.eventsSeenAt || null;
+
+    const [events, unread] = await Promise.all([
+      Event.find(filter).sort({ createdAt: -1, _id: -1 }).limit(limit).lean(),
+      Event.countDocuments(seenAt ? { ...filter, createdAt: { $gt: seenAt } } : filter),
+    ]);
+
+    res.json({
+      seenAt,
+      unread,
+      events: events.map((e) => ({ ...e, unread: !seenAt || e.createdAt > seenAt })),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/events/notifications/seen - označava sve obavijesti pregledanima
+router.post("/notifications/seen", async (req, res) => {
+  try {
+    const seenAt = new Date();
+    await User.updateOne({ _id: req.user.id }, { $set: { eventsSeenAt: seenAt } });
+    res.json({ seenAt });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
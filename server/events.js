@@ -0,0 +1,122 @@
+const crypto = require("crypto");
+const { Event } = require("./models");
+const { formatEuro, formatIsoDay } = require("./parsers");
+
+// Događaji iz razlike dva stanja igrača (faza events u ETL-u) i njihovo
+// slanje na webhook. EVENT_VALUE_THRESHOLD je najmanja promjena vrijednosti
+// u postocima (zadano 10), EVENTS_WEBHOOK_URL adresa na koju se događaji šalju
+// POST-om, a uz EVENTS_WEBHOOK_SECRET tijelo se potpisuje HMAC-SHA256
+// (zaglavlje X-Signature: sha256=<hex>).
+
+const VALUE_THRESHOLD = Number(process.env.EVENT_VALUE_THRESHOLD) || 10;
+const WEBHOOK_URL = process.env.EVENTS_WEBHOOK_URL;
+const WEBHOOK_SECRET = process.env.EVENTS_WEBHOOK_SECRET;
+const WEBHOOK_BATCH = 100;
+const WEBHOOK_TIMEOUT_MS = 10_000;
+
+const sameDay = (a, b) => formatIsoDay(a) === formatIsoDay(b);
+
+// previous i current su zapisi iz PlayerStates; transfersById su Transfers po _id
+function detectEvents(previous, current, transfersById) {
+  const events = [];
+  const event = (type, before, after, message, details) =>
+    events.push({
+      type,
+      player_id: current.player_id,
+      playerName: current.name,
+      before,
+      after,
+      details,
+      message,
+    });
+
+  if (previous.value && current.value && previous.value !== current.value) {
+    const percent = ((current.value - previous.value) / previous.value) * 100;
+    if (Math.abs(percent) >= VALUE_THRESHOLD) {
+      const up = percent > 0;
+      event(
+        up ? "value_up" : "value_down",
+        previous.value,
+        current.value,
+        `Vrijednost ${up ? "porasla" : "pala"} s ${formatEuro(previous.value)} na ` +
+          `${formatEuro(current.value)} (${up ? "+" : ""}${percent.toFixed(1)}%)`,
+        { percent: Math.round(percent * 10) / 10 }
+      );
+    }
+  }
+
+  const known = new Set(previous.transfers || []);
+  for (const id of current.transfers) {
+    const t = transfersById.get(id);
+    if (known.has(id) || !t) continue;
+    event(
+      "transfer",
+      t.from,
+      t.to,
+      `Transfer: ${t.from || "?"} → ${t.to || "?"}${t.fee ? ` (${t.fee})` : ""}`,
+      { transferId: id, season: t.season, date: t.date, fee: t.fee }
+    );
+  }
+
+  if (current.clubId && previous.clubId !== current.clubId) {
+    event(
+      "club_change",
+      previous.club || null,
+      current.club,
+      `Novi klub: ${current.club || current.clubId}`,
+      { fromClubId: previous.clubId ?? null, toClubId: current.clubId }
+    );
+  }
+
+  if (
+    previous.contractExpires &&
+    current.contractExpires &&
+    current.contractExpires > previous.contractExpires &&
+    !sameDay(previous.contractExpires, current.contractExpires)
+  ) {
+    event(
+      "contract_extended",
+      formatIsoDay(previous.contractExpires),
+      formatIsoDay(current.contractExpires),
+      `Ugovor produljen do ${formatIsoDay(current.contractExpires)}`
+    );
+  }
+
+  return events;
+}
+
+async function postWebhook(events) {
+  const body = JSON.stringify({ events });
+  const headers = { "Content-Type": "application/json" };
+  if (WEBHOOK_SECRET) {
+    const signature = crypto.createHmac("sha256", WEBHOOK_SECRET).update(body).digest("hex");
+    headers["X-Signature"] = `sha256=${signature}`;
+  }
+
+  const res = await fetch(WEBHOOK_URL, {
+    method: "POST",
+    headers,
+    body,
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+  });
+  if (!res.ok) throw new Error(`webhook je vratio ${res.status}`);
+}
+
+// Sprema događaje i šalje ih na webhook. Neuspjelo slanje se samo ispisuje,
+// događaji ostaju u bazi (GET /api/events).
+async function saveEvents(events) {
+  if (events.length === 0) return;
+  const saved = await Event.insertMany(events);
+  if (!WEBHOOK_URL) return;
+
+  for (let i = 0; i < saved.length; i += WEBHOOK_BATCH) {
+    try {
+      await postWebhook(saved.slice(i, i + WEBHOOK_BATCH));
+    } catch (err) {
+      console.warn(`⚠️ Slanje događaja na ${WEBHOOK_URL} nije uspjelo: ${err.message}`);
+      return;
+    }
+  }
+}
+
+module.exports = { detectEvents, saveEvents };
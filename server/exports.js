@@ -0,0 +1,81 @@
+const { once } = require("events");
+const ExcelJS = require("exceljs");
+const { formatIsoDay, isEmptyMarker, parseMoney } = require("./parsers");
+
+// Izvoz tablica u CSV i XLSX. Stupci su [{ header, key, value(row), width }]:
+// vrijednost ćelije je value(row) ako je zadan, inače row[key].
+
+const EXPORT_FORMATS = ["csv", "xlsx"];
+
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+function cellValue(column, row) {
+  const value = column.value ? column.value(row) : row[column.key];
+  return value === undefined || value === null ? "" : value;
+}
+
+// Tekst koji počinje s =, +, -, @, tabulatorom ili CR Excel bi izvršio kao formulu.
+// Oznake praznog ("-") i iznosi ("-€2m", "+€3m") se čitaju kao vrijednosti.
+function formulaLike(text) {
+  return /^[=+\-@\t\r]/.test(text) && !isEmptyMarker(text) && parseMoney(text) === null;
+}
+
+// Polje se stavlja u navodnike ako sadrži separator, navodnik ili novi red, a
+// tekst nalik formuli dobiva ' ispred
+function csvField(value) {
+  let text = value instanceof Date ? formatIsoDay(value) : String(value);
+  if (typeof value === "string" && formulaLike(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function writeCsv(res, columns, rows) {
+  // BOM da Excel prepozna UTF-8 (dijakritike u imenima)
+  res.write("\uFEFF" + columns.map((c) => csvField(c.header)).join(",") + "\r\n");
+  for await (const row of rows) {
+    const line = columns.map((c) => csvField(cellValue(c, row))).join(",") + "\r\n";
+    if (!res.write(line)) await once(res, "drain");
+  }
+  res.end();
+}
+
+async function writeXlsx(res, sheetName, columns, rows) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet(sheetName);
+  sheet.columns = columns.map((c, i) => ({ header: c.header, key: `c${i}`, width: c.width }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  for await (const row of rows) {
+    sheet.addRow(columns.map((c) => cellValue(c, row))).commit();
+  }
+  sheet.commit();
+  await workbook.commit();
+}
+
+// Šalje redove (niz ili async iterable, npr. kursor agregacije) kao datoteku
+// name-YYYY-MM-DD.csv / .xlsx
+async function sendExport(res, format, name, columns, rows) {
+  const filename = `${name}-${formatIsoDay(new Date())}.${format}`;
+  res.setHeader("Content-Type", CONTENT_TYPES[format]);
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+
+  if (format === "xlsx") {
+    await writeXlsx(res, name, columns, rows);
+  } else {
+    await writeCsv(res, columns, rows);
+  }
+}
+
+// Greška usred slanja se više ne može javiti kao JSON pa se veza prekida
+function exportFailed(res, err) {
+  if (res.headersSent) {
+    res.destroy(err);
+  } else {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+module.exports = { EXPORT_FORMATS, sendExport, exportFailed };
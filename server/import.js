@@ -0,0 +1,224 @@
+// Uvoz sirovih podataka iz CSV/JSON datoteka u kolekcije players_data,
+// club, club_players i players_transfers (iz kojih ETL gradi očišćene kolekcije).
+//
+//   node import.js <skup> <datoteka> [opcije]
+//
+//   skup:        players | clubs | clubPlayers | transfers
+//   datoteka:    .csv, .json (niz objekata) ili .ndjson/.jsonl (jedan objekt po retku)
+//
+//   --map stupac=polje[,stupac=polje]   ručno mapiranje stupaca
+//   --delimiter ;                       razdjelnik u CSV-u (zadano ",")
+//   --replace                           obriši kolekciju prije uvoza
+//   --dry-run                           samo provjera, bez upisa u bazu
+//
+// Zapisi se upisuju upsertom po ključu skupa, pa se uvoz može ponavljati.
+// Odbijeni zapisi spremaju se u kolekciju Rejections (GET /api/rejections).
+// Svako izvođenje (osim --dry-run) se sprema kao snapshot s rednim brojem i
+// SHA-256 datoteke (ImportRuns, SnapshotRecords, GET /api/snapshots).
+
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const mongoose = require("mongoose");
+const { parse } = require("csv-parse");
+const { MONGO_URL } = require("./db");
+const { Rejection, ImportRun, SnapshotRecord } = require("./models");
+const { DATASETS, resolveColumns, buildDocument } = require("./importDatasets");
+const { createRejectionReport } = require("./parsers");
+const { startRun, snapshotRecord } = require("./snapshots");
+
+const BATCH_SIZE = 1000;
+const MAX_REJECTION_SAMPLES = 10;
+
+function parseArgs(argv) {
+  const options = { map: {}, delimiter: ",", replace: false, dryRun: false, positional: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--replace") options.replace = true;
+    else if (arg === "--dry-run") options.dryRun = true;
+    else if (arg === "--delimiter") options.delimiter = argv[++i];
+    else if (arg === "--map") {
+      for (const pair of (argv[++i] || "").split(",")) {
+        const [column, field] = pair.split("=").map((s) => s.trim());
+        if (!column || !field) throw new Error(`Neispravno mapiranje: ${pair}`);
+        options.map[column] = field;
+      }
+    } else options.positional.push(arg);
+  }
+  return options;
+}
+
+// Asinkrono čitanje redaka iz datoteke, bez učitavanja cijele datoteke (osim .json)
+async function* readRows(file, { delimiter }) {
+  const ext = path.extname(file).toLowerCase();
+
+  if (ext === ".csv") {
+    const parser = fs
+      .createReadStream(file)
+      .pipe(parse({ columns: true, bom: true, trim: true, skip_empty_lines: true, delimiter }));
+    for await (const record of parser) yield record;
+    return;
+  }
+
+  if (ext === ".ndjson" || ext === ".jsonl") {
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (line.trim()) yield JSON.parse(line);
+    }
+    return;
+  }
+
+  if (ext === ".json") {
+    const data = JSON.parse(await fs.promises.readFile(file, "utf-8"));
+    if (!Array.isArray(data)) throw new Error("JSON datoteka mora sadržavati niz objekata");
+    yield* data;
+    return;
+  }
+
+  throw new Error(`Nepodržan format datoteke: ${ext} (dozvoljeno .csv, .json, .ndjson, .jsonl)`);
+}
+
+async function importFile(datasetName, file, options) {
+  const dataset = DATASETS[datasetName];
+  if (!dataset) {
+    throw new Error(`Nepoznat skup: ${datasetName} (dozvoljeno: ${Object.keys(DATASETS).join(", ")})`);
+  }
+
+  const collection = mongoose.connection.collection(dataset.collection);
+  const report = {
+    read: 0,
+    inserted: 0,
+    updated: 0,
+    unchanged: 0,
+    rejected: 0,
+    rejections: createRejectionReport({ source: "import", stage: datasetName }),
+  };
+  let mapping = null;
+  let batch = [];
+  let snapshot = [];
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    if (!options.dryRun) {
+      const result = await collection.bulkWrite(batch, { ordered: true });
+      report.inserted += result.upsertedCount;
+      report.updated += result.modifiedCount;
+      report.unchanged += result.matchedCount - result.modifiedCount;
+      await SnapshotRecord.insertMany(snapshot, { ordered: false });
+    }
+    batch = [];
+    snapshot = [];
+  };
+
+  const run = options.dryRun ? null : await startRun(datasetName, file, options);
+  try {
+    if (options.replace && !options.dryRun) await collection.deleteMany({});
+
+    for await (const row of readRows(file, options)) {
+      report.read++;
+      // stupci se mapiraju prema prvom retku (zaglavlju)
+      if (!mapping) mapping = resolveColumns(dataset, Object.keys(row), options.map);
+
+      const { doc, errors } = buildDocument(dataset, row, mapping);
+      if (errors) {
+        report.rejected++;
+        errors.forEach((e) => report.rejections.add({ record: `zapis ${report.read}`, ...e }));
+        continue;
+      }
+
+      const filter = Object.fromEntries(dataset.key.map((field) => [field, doc[field] ?? ""]));
+      // mijenjaju se samo polja skupa: ono što dodaje ETL (npr. value u
+      // players_data) ostaje, a polja kojih u novom zapisu nema brišu se
+      const unset = Object.keys(dataset.fields).filter((field) => !(field in doc));
+      const update = { $set: { ...doc, ...dataset.derived?.(doc) } };
+      if (unset.length) update.$unset = Object.fromEntries(unset.map((field) => [field, ""]));
+      batch.push({ updateOne: { filter, update, upsert: true } });
+      if (run) snapshot.push(snapshotRecord(run, datasetName, doc));
+      if (batch.length >= BATCH_SIZE) await flush();
+    }
+    await flush();
+  } catch (err) {
+    // snapshot nedovršenog uvoza se ne koristi (status "failed")
+    if (run) await ImportRun.updateOne({ _id: run._id }, { status: "failed" });
+    throw err;
+  }
+
+  if (run) {
+    const { read, inserted, updated, unchanged, rejected } = report;
+    await ImportRun.updateOne(
+      { _id: run._id },
+      {
+        status: "done",
+        finishedAt: new Date(),
+        counts: { read, inserted, updated, unchanged, rejected },
+      }
+    );
+    report.run = run;
+  }
+
+  if (!options.dryRun) {
+    await Rejection.deleteMany({ source: "import", stage: datasetName });
+    const { entries } = report.rejections;
+    for (let i = 0; i < entries.length; i += BATCH_SIZE) {
+      await Rejection.insertMany(entries.slice(i, i + BATCH_SIZE), { ordered: false });
+    }
+  }
+
+  if (mapping) {
+    const renamed = [...mapping].filter(([column, field]) => column !== field);
+    if (renamed.length) {
+      console.log("Mapiranje stupaca:", renamed.map(([c, f]) => `${c} -> ${f}`).join(", "));
+    }
+  }
+
+  return report;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const [datasetName, file] = options.positional;
+  if (!datasetName || !file) {
+    console.log(
+      "Upotreba: node import.js <players|clubs|clubPlayers|transfers> <datoteka>" +
+        " [--map stupac=polje] [--delimiter ;] [--replace] [--dry-run]"
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  await mongoose.connect(MONGO_URL);
+  try {
+    const report = await importFile(datasetName, file, options);
+
+    console.log(options.dryRun ? "\nIzvještaj (dry run, ništa nije upisano):" : "\nIzvještaj:");
+    console.table({
+      "pročitano": report.read,
+      dodano: report.inserted,
+      "ažurirano": report.updated,
+      "bez promjene": report.unchanged,
+      odbijeno: report.rejected,
+    });
+    const { entries } = report.rejections;
+    if (entries.length) {
+      console.log("Odbijeno po polju:");
+      for (const { field, kind, count } of report.rejections.summary()) {
+        console.log(`  ${field} (${kind}): ${count}`);
+      }
+      console.log(`Primjeri (prvih ${Math.min(entries.length, MAX_REJECTION_SAMPLES)}):`);
+      for (const e of entries.slice(0, MAX_REJECTION_SAMPLES)) {
+        const input = e.input === undefined ? "" : ` ("${e.input}")`;
+        console.log(`  - ${e.record}: ${e.field}: ${e.message}${input}`);
+      }
+    }
+    if (report.run) {
+      console.log(`\nSnapshot ${report.run.run} (SHA-256 ${report.run.checksum})`);
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch((err) => {
+  console.error("❌ Greška:", err.message);
+  process.exitCode = 1;
+});
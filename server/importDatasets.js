@@ -0,0 +1,169 @@
+const {
+  REJECTION_MESSAGES,
+  isEmptyMarker,
+  parseMoney,
+  parseDate,
+  formatIsoDay,
+  parseSeason,
+} = require("./parsers");
+const { searchFields } = require("./search");
+
+// Sirovi skupovi podataka koje import.js učitava iz datoteka.
+// Za svako polje: tip, je li obavezno i drugi nazivi stupca pod kojima se
+// može pojaviti u CSV/JSON datoteci. Stupci koji nisu navedeni spremaju se
+// nepromijenjeni. refs su polja s ID-em igrača i kluba po kojima se traže
+// zapisi u snapshotima (snapshots.js). derived(doc) daje polja koja se upisuju
+// uz uvezena, a izvode se iz njih (inače ih računa ETL).
+
+const DATASETS = {
+  players: {
+    collection: "players_data",
+    key: ["player_id"],
+    refs: { player_id: "player_id" },
+    derived: searchFields,
+    fields: {
+      player_id: { type: "id", required: true, aliases: ["PlayerID", "id"] },
+      given_name: { required: true, aliases: ["name", "Player_name", "player_name"] },
+      date_of_birth: { type: "date", aliases: ["birth_date", "dateOfBirth", "birthDate"] },
+      place_of_birth: { aliases: ["placeOfBirth", "birth_place"] },
+      citizenship: { aliases: ["nationality"] },
+      height: { type: "number", aliases: ["height_cm"] },
+      position: { aliases: ["Player_possition", "Player_position"] },
+      foot: {},
+      current_club: { aliases: ["currentClub", "club", "Club"] },
+      agent: { aliases: ["Player_agent", "player_agent"] },
+      market_value: { type: "value", aliases: ["Player_MarketValue", "mv"] },
+      contract_joined: { type: "date", aliases: ["joined_date", "contractJoined"] },
+      contract_expires: { type: "date", aliases: ["contractExpires", "contract_until"] },
+    },
+  },
+
+  clubs: {
+    collection: "club",
+    key: ["ClubID", "Season"],
+    refs: { club_id: "ClubID" },
+    fields: {
+      ClubID: { type: "id", required: true, aliases: ["club_id", "id"] },
+      Season: { type: "year", required: true, aliases: ["season"] },
+      Club: { required: true, aliases: ["Club_name", "name", "club"] },
+      League: { aliases: ["league"] },
+      Country: { aliases: ["country"] },
+      Club_OverallBalance: { aliases: ["balance", "overall_balance"] },
+    },
+  },
+
+  clubPlayers: {
+    collection: "club_players",
+    key: ["ClubID", "Season", "PlayerID"],
+    refs: { player_id: "PlayerID", club_id: "ClubID" },
+    fields: {
+      ClubID: { type: "id", required: true, aliases: ["club_id"] },
+      PlayerID: { type: "id", required: true, aliases: ["player_id"] },
+      Season: { type: "year", required: true, aliases: ["season"] },
+      League: { aliases: ["league"] },
+      Player_name: { aliases: ["player_name", "name"] },
+      Player_possition: { aliases: ["Player_position", "position"] },
+      Player_MarketValue: { type: "value", aliases: ["market_value", "mv", "value"] },
+    },
+  },
+
+  transfers: {
+    collection: "players_transfers",
+    key: ["player_id", "season", "date", "left", "joined"],
+    refs: { player_id: "player_id" },
+    fields: {
+      player_id: { type: "id", required: true, aliases: ["PlayerID"] },
+      season: { type: "season", required: true, aliases: ["Season"] },
+      date: { type: "date", aliases: ["transfer_date"] },
+      left: { required: true, aliases: ["from", "from_club"] },
+      joined: { required: true, aliases: ["to", "to_club"] },
+      mv: { type: "value", aliases: ["market_value", "Player_MarketValue"] },
+      fee: { aliases: ["transfer_fee"] },
+    },
+  },
+};
+
+// Pretvara vrijednost prema tipu polja; vraća { value } ili { kind, error }
+function convert(type, raw) {
+  const text = raw === undefined || raw === null ? "" : String(raw).trim();
+  const rejected = (kind) => ({ kind, error: REJECTION_MESSAGES[kind] });
+
+  switch (type) {
+    case "id": {
+      const id = Number(text);
+      return Number.isInteger(id) && id > 0
+        ? { value: id }
+        : { kind: "id", error: "mora biti pozitivan cijeli broj" };
+    }
+    case "year": {
+      const year = Number(text);
+      return Number.isInteger(year) && year >= 1900 && year <= 2100
+        ? { value: year }
+        : { kind: "year", error: "mora biti godina (npr. 2023)" };
+    }
+    case "season":
+      return parseSeason(text) === null ? rejected("season") : { value: text };
+    case "number": {
+      if (isEmptyMarker(text)) return { value: null };
+      const number = Number(text.replace(",", "."));
+      return isNaN(number) ? { kind: "number", error: "mora biti broj" } : { value: number };
+    }
+    case "date": {
+      // datumi se spremaju kao "GGGG-MM-DD" bez obzira na oblik u datoteci
+      if (isEmptyMarker(text)) return { value: "" };
+      const date = parseDate(text);
+      return date ? { value: formatIsoDay(date) } : rejected("date");
+    }
+    case "value":
+      return isEmptyMarker(text) || parseMoney(text) !== null
+        ? { value: text }
+        : rejected("money");
+    default:
+      return { value: text };
+  }
+}
+
+// Za zaglavlje datoteke vraća Map(stupac -> polje u kolekciji).
+// overrides su ručna mapiranja iz --map (stupac=polje).
+function resolveColumns(dataset, columns, overrides = {}) {
+  const byAlias = new Map();
+  for (const [field, spec] of Object.entries(dataset.fields)) {
+    byAlias.set(field.toLowerCase(), field);
+    (spec.aliases || []).forEach((alias) => byAlias.set(alias.toLowerCase(), field));
+  }
+
+  const mapping = new Map();
+  for (const column of columns) {
+    mapping.set(column, overrides[column] || byAlias.get(column.toLowerCase()) || column);
+  }
+  return mapping;
+}
+
+// Pretvara jedan redak datoteke u dokument; vraća { doc } ili
+// { errors: [{ field, kind, input, message }] }
+function buildDocument(dataset, row, mapping) {
+  const doc = {};
+  for (const [column, value] of Object.entries(row)) {
+    doc[mapping.get(column) || column] = value;
+  }
+
+  const errors = [];
+  for (const [field, spec] of Object.entries(dataset.fields)) {
+    const raw = doc[field];
+    const missing = raw === undefined || raw === null || String(raw).trim() === "";
+    if (missing) {
+      if (spec.required) errors.push({ field, kind: "required", message: "obavezno polje" });
+      continue;
+    }
+    const result = convert(spec.type, raw);
+    if (result.error) {
+      errors.push({ field, kind: result.kind, input: String(raw), message: result.error });
+    } else {
+      doc[field] = result.value;
+    }
+  }
+
+  return errors.length ? { errors } : { doc };
+}
+
+module.exports = { DATASETS, resolveColumns, buildDocument };
@@ -0,0 +1,91 @@
+const express = require("express");
+const { Player, MarketValue } = require("./models");
+const { buildValueHistory, summarizeHistory } = require("./valueHistory");
+const { sendError, fieldError } = require("./validation");
+const { requireRole } = require("./auth");
+const { resolveSnapshot, runInfo } = require("./snapshots");
+
+const router = express.Router();
+
+// GET /api/marketvalues/:playerId?snapshot=|asOf= - povijest tržišne vrijednosti
+// igrača; uz snapshot ili asOf kakva je bila u tom uvozu
+router.get("/:playerId", async (req, res) => {
+  const playerId = Number(req.params.playerId);
+
+  try {
+    const { snapshot, status, message } = await resolveSnapshot(req.query);
+    if (message) return res.status(status).json({ message });
+
+    const exists = await Player.exists({ player_id: playerId });
+    if (!exists) {
+      return res.status(404).json({ message: "Igrač nije pronađen" });
+    }
+
+    const history = await buildValueHistory(playerId, snapshot);
+
+    res.json({
+      player_id: playerId,
+      history,
+      ...summarizeHistory(history),
+      ...(snapshot && { snapshot: runInfo(snapshot) }),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/marketvalues - ručno unesena vrijednost { player_id, value, date, note }
+router.post("/", requireRole("editor"), async (req, res) => {
+  try {
+    const marketValue = new MarketValue(req.body || {});
+    await marketValue.validate();
+
+    if (!(await Player.exists({ player_id: marketValue.player_id }))) {
+      return fieldError(res, "player_id", "Igrač ne postoji");
+    }
+
+    await marketValue.save();
+    res.status(201).json(marketValue);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// PUT /api/marketvalues/:id - izmjena ručno unesene vrijednosti
+router.put("/:id", requireRole("editor"), async (req, res) => {
+  const changes = req.body || {};
+
+  try {
+    if ("player_id" in changes && !(await Player.exists({ player_id: changes.player_id }))) {
+      return fieldError(res, "player_id", "Igrač ne postoji");
+    }
+
+    const marketValue = await MarketValue.findByIdAndUpdate(
+      req.params.id,
+      { $set: changes },
+      { new: true, runValidators: true }
+    );
+    if (!marketValue) {
+      return res.status(404).json({ message: "Vrijednost nije pronađena" });
+    }
+
+    res.json(marketValue);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// DELETE /api/marketvalues/:id
+router.delete("/:id", requireRole("editor"), async (req, res) => {
+  try {
+    const marketValue = await MarketValue.findByIdAndDelete(req.params.id);
+    if (!marketValue) {
+      return res.status(404).json({ message: "Vrijednost nije pronađena" });
+    }
+    res.status(204).end();
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
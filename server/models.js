@@ -0,0 +1,380 @@
+const mongoose = require("mongoose");
+const {
+  isoDate,
+  marketValueText,
+  feeText,
+  seasonText,
+  integer,
+  toDate,
+} = require("./validation");
+const { searchFields } = require("./search");
+
+const required = [true, "Obavezno polje"];
+
+// Igrači (players_data). Polja se zovu kao u uvezenim podacima kako bi ih
+// postojeći upiti i dalje nalazili; nepoznata polja se odbijaju pri upisu.
+const playerSchema = new mongoose.Schema(
+  {
+    player_id: { type: Number, required, min: 1, validate: integer },
+    given_name: { type: String, required, trim: true },
+    date_of_birth: { type: String, validate: isoDate },
+    place_of_birth: { type: String, trim: true },
+    citizenship: { type: String, trim: true },
+    height: {
+      type: Number,
+      min: [140, "Visina je u centimetrima"],
+      max: [220, "Visina je u centimetrima"],
+    },
+    position: { type: String, trim: true },
+    foot: {
+      type: String,
+      enum: { values: ["left", "right", "both"], message: "Dozvoljeno: left, right, both" },
+    },
+    current_club: { type: String, trim: true },
+    agent: { type: String, trim: true },
+    market_value: { type: String, validate: marketValueText },
+    value: { type: Number, min: [0, "Vrijednost ne može biti negativna"] },
+    contract_joined: { type: String, validate: isoDate },
+    contract_expires: { type: String, validate: isoDate },
+    international_caps: { type: Number, min: 0, validate: integer },
+    international_goals: { type: Number, min: 0, validate: integer },
+    // izvedena polja za pretraživanje (search.js), ne šalju se u odgovorima
+    search_name: String,
+    search_terms: [String],
+    search_grams: [String],
+  },
+  {
+    strict: "throw",
+    versionKey: false,
+    toJSON: {
+      transform(doc, ret) {
+        delete ret.search_name;
+        delete ret.search_terms;
+        delete ret.search_grams;
+        return ret;
+      },
+    },
+  }
+);
+playerSchema.index({ player_id: 1 });
+playerSchema.index({ search_terms: 1 });
+playerSchema.index({ search_grams: 1 });
+playerSchema.pre("validate", function () {
+  Object.assign(this, searchFields(this));
+});
+const Player = mongoose.model("Players", playerSchema, "players_data");
+
+// Sirove kolekcije (onako kako su uvezene sa scrapera). Indeksi su za ključeve
+// uvoza (import.js) i za $lookup po igraču (latestSeasonStages, transferi igrača).
+const rawClubSchema = new mongoose.Schema({}, { strict: false });
+rawClubSchema.index({ ClubID: 1, Season: 1 });
+const RawClub = mongoose.model("RawClub", rawClubSchema, "club");
+
+const rawClubPlayerSchema = new mongoose.Schema({}, { strict: false });
+rawClubPlayerSchema.index({ ClubID: 1, Season: 1, PlayerID: 1 });
+rawClubPlayerSchema.index({ PlayerID: 1, Season: -1 });
+const RawClubPlayer = mongoose.model("RawClubPlayer", rawClubPlayerSchema, "club_players");
+
+const rawTransferSchema = new mongoose.Schema({}, { strict: false });
+rawTransferSchema.index({ player_id: 1 });
+const RawTransfer = mongoose.model("RawTransfer", rawTransferSchema, "players_transfers");
+
+// Očišćene kolekcije koje puni ETL (etl.js)
+const clubSchema = new mongoose.Schema({
+  club_id: Number,
+  name: String,
+  league: String,
+  country: String,
+  season: Number,
+  balance: String,
+  balanceAmount: Number, // balance u eurima, negativno kad je klub više potrošio
+});
+clubSchema.index({ club_id: 1, season: 1 });
+const Club = mongoose.model("Club", clubSchema, "Clubs");
+
+const clubPlayerSchema = new mongoose.Schema(
+  {
+    season: { type: Number, required, min: 1900, max: 2100, validate: integer },
+    league: { type: String, trim: true },
+    club_id: { type: Number, required, min: 1, validate: integer },
+    player_id: { type: Number, required, min: 1, validate: integer },
+    player_name: { type: String, trim: true },
+    position: { type: String, trim: true },
+    market_value: { type: String, validate: marketValueText },
+  },
+  { strict: "throw" }
+);
+clubPlayerSchema.index({ club_id: 1, season: 1, player_id: 1 });
+clubPlayerSchema.index({ season: 1, league: 1 });
+clubPlayerSchema.index({ player_id: 1, season: 1 });
+const ClubPlayer = mongoose.model("ClubPlayer", clubPlayerSchema, "ClubPlayers");
+
+const cleanPlayerSchema = new mongoose.Schema({
+  player_id: Number,
+  name: String,
+  birthDate: Date,
+  citizenship: String,
+  placeOfBirth: String,
+  position: String,
+  contractExpires: Date,
+  agent: String,
+  contractJoined: Date,
+  currentClub: String,
+  clubId: Number, // klub i liga iz zadnje sezone u ClubPlayers
+  league: String,
+  value: Number,
+});
+cleanPlayerSchema.index({ player_id: 1 });
+cleanPlayerSchema.index({ contractExpires: 1 });
+cleanPlayerSchema.index({ birthDate: 1 }); // raspon dobi kandidata u similarity.js
+const CleanPlayer = mongoose.model("Player", cleanPlayerSchema, "Players");
+
+const transferSchema = new mongoose.Schema(
+  {
+    player_id: { type: Number, required, min: 1, validate: integer },
+    season: { type: String, required, validate: seasonText },
+    date: { type: Date, set: toDate },
+    from: { type: String, required, trim: true },
+    to: { type: String, required, trim: true },
+    market_value: { type: String, validate: marketValueText },
+    fee: { type: String, validate: feeText },
+  },
+  { strict: "throw" }
+);
+transferSchema.index({ player_id: 1, season: 1 });
+const Transfer = mongoose.model("Transfer", transferSchema, "Transfers");
+
+// Ručno unesene tržišne vrijednosti (POST /api/marketvalues)
+const marketValueSchema = new mongoose.Schema(
+  {
+    player_id: { type: Number, required, min: 1, validate: integer },
+    value: { type: Number, required, min: [0, "Vrijednost ne može biti negativna"] },
+    date: { type: Date, required, set: toDate },
+    note: { type: String, trim: true },
+  },
+  { strict: "throw", timestamps: true }
+);
+marketValueSchema.index({ player_id: 1, date: 1 });
+const MarketValue = mongoose.model("MarketValue", marketValueSchema, "MarketValues");
+
+// Podaci koje import.js i ETL nisu mogli pročitati (GET /api/rejections).
+// Svako pokretanje zamjenjuje zapise iste faze, odnosno istog skupa podataka.
+const rejectionSchema = new mongoose.Schema(
+  {
+    source: String, // "import" ili "etl"
+    stage: String, // skup podataka (import) ili faza (ETL)
+    record: String, // redak u datoteci ili _id izvornog zapisa
+    field: String,
+    kind: String, // money, fee, date, season, record...
+    input: String,
+    message: String,
+  },
+  { versionKey: false, timestamps: { createdAt: true, updatedAt: false } }
+);
+rejectionSchema.index({ source: 1, stage: 1, kind: 1 });
+const Rejection = mongoose.model("Rejection", rejectionSchema, "Rejections");
+
+// Stanje igrača iz zadnjeg ETL-a (faza events), s kojim se uspoređuje sljedeće
+// pokretanje. transfers su _id zapisa iz Transfers.
+const playerStateSchema = new mongoose.Schema(
+  {
+    player_id: Number,
+    name: String,
+    value: Number,
+    clubId: Number,
+    club: String,
+    contractExpires: Date,
+    transfers: [String],
+  },
+  { versionKey: false }
+);
+playerStateSchema.index({ player_id: 1 });
+const PlayerState = mongoose.model("PlayerState", playerStateSchema, "PlayerStates");
+
+// Promjene koje je ETL našao između dva pokretanja (events.js, GET /api/events)
+const EVENT_TYPES = ["value_up", "value_down", "transfer", "club_change", "contract_extended"];
+
+const eventSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: EVENT_TYPES, required },
+    player_id: { type: Number, required },
+    playerName: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+    details: mongoose.Schema.Types.Mixed,
+    message: String,
+  },
+  { versionKey: false, timestamps: { createdAt: true, updatedAt: false } }
+);
+eventSchema.index({ createdAt: -1 });
+eventSchema.index({ player_id: 1, createdAt: -1 });
+const Event = mongoose.model("Event", eventSchema, "Events");
+
+// Izvođenja import.js. Svako je snapshot: run je redni broj, checksum SHA-256
+// uvezene datoteke, a uvezeni zapisi se čuvaju u SnapshotRecords.
+const importRunSchema = new mongoose.Schema(
+  {
+    run: { type: Number, required },
+    dataset: { type: String, required },
+    file: String,
+    checksum: String,
+    replace: Boolean, // --replace: zapisi iz ranijih izvođenja tog skupa ne vrijede
+    status: { type: String, enum: ["running", "done", "failed"], default: "running" },
+    counts: { read: Number, inserted: Number, updated: Number, unchanged: Number, rejected: Number },
+    startedAt: { type: Date, default: Date.now },
+    finishedAt: Date,
+  },
+  { versionKey: false }
+);
+importRunSchema.index({ run: 1 }, { unique: true });
+importRunSchema.index({ dataset: 1, run: -1 });
+const ImportRun = mongoose.model("ImportRun", importRunSchema, "ImportRuns");
+
+// Zapis iz jednog izvođenja uvoza, isti kakav je upisan u sirovu kolekciju.
+// key je JSON vrijednosti ključa skupa (importDatasets.js).
+const snapshotRecordSchema = new mongoose.Schema(
+  {
+    run: Number,
+    dataset: String,
+    key: String,
+    player_id: Number,
+    club_id: Number,
+    doc: mongoose.Schema.Types.Mixed,
+  },
+  { versionKey: false }
+);
+snapshotRecordSchema.index({ dataset: 1, player_id: 1, run: -1 });
+snapshotRecordSchema.index({ dataset: 1, club_id: 1, run: -1 });
+snapshotRecordSchema.index({ run: 1 });
+const SnapshotRecord = mongoose.model("SnapshotRecord", snapshotRecordSchema, "SnapshotRecords");
+
+// Model procjene tržišne vrijednosti (trainValuation.js, valuation.js).
+// Linearna regresija logaritma vrijednosti na standardizirana svojstva.
+const valuationModelSchema = new mongoose.Schema(
+  {
+    features: [{ _id: false, name: String, mean: Number, std: Number, coefficient: Number }],
+    intercept: Number,
+    residualStd: Number, // standardna devijacija greške u log prostoru
+    r2: Number,
+    samples: Number,
+    trainedAt: { type: Date, default: Date.now },
+  },
+  { versionKey: false }
+);
+valuationModelSchema.index({ trainedAt: -1 });
+const ValuationModel = mongoose.model("ValuationModel", valuationModelSchema, "ValuationModels");
+
+// Korisnici aplikacije. Uloge redom po ovlastima (auth.js): viewer čita,
+// analyst još i izvozi, editor mijenja podatke, admin upravlja korisnicima.
+const ROLES = ["viewer", "analyst", "editor", "admin"];
+
+const userSchema = new mongoose.Schema(
+  {
+    username: {
+      type: String,
+      required,
+      trim: true,
+      lowercase: true,
+      match: [/^[a-z0-9._-]{3,32}$/, "3-32 znaka: slova, brojevi, točka, crtica, podvlaka"],
+    },
+    passwordHash: { type: String, required },
+    role: {
+      type: String,
+      required,
+      enum: { values: ROLES, message: `Dozvoljeno: ${ROLES.join(", ")}` },
+      default: "viewer",
+    },
+    eventsSeenAt: Date, // do kada je korisnik pregledao obavijesti
+  },
+  {
+    strict: "throw",
+    versionKey: false,
+    timestamps: true,
+    toJSON: {
+      transform(doc, ret) {
+        delete ret.passwordHash;
+        return ret;
+      },
+    },
+  }
+);
+userSchema.index({ username: 1 }, { unique: true });
+const User = mongoose.model("User", userSchema, "Users");
+
+// Prijave. U bazi je samo SHA-256 tokena iz kolačića; Mongo briše istekle.
+const sessionSchema = new mongoose.Schema(
+  {
+    tokenHash: { type: String, required },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required },
+    expiresAt: { type: Date, required },
+  },
+  { versionKey: false }
+);
+sessionSchema.index({ tokenHash: 1 }, { unique: true });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+const Session = mongoose.model("Session", sessionSchema, "Sessions");
+
+// Popisi igrača za skauting (watchlistRoutes.js). Popis uređuje vlasnik,
+// a korisnici iz sharedWith mogu dodavati igrače i mijenjati bilješke.
+const PRIORITIES = ["high", "medium", "low"];
+const ENTRY_STATUSES = ["watching", "scouted", "contacted", "negotiating", "signed", "dropped"];
+
+const watchlistEntrySchema = new mongoose.Schema(
+  {
+    player_id: { type: Number, required, min: 1, validate: integer },
+    note: { type: String, trim: true, default: "" },
+    priority: {
+      type: String,
+      enum: { values: PRIORITIES, message: `Dozvoljeno: ${PRIORITIES.join(", ")}` },
+      default: "medium",
+    },
+    status: {
+      type: String,
+      enum: { values: ENTRY_STATUSES, message: `Dozvoljeno: ${ENTRY_STATUSES.join(", ")}` },
+      default: "watching",
+    },
+    valueAtAdd: Number, // tržišna vrijednost kad je igrač dodan, za promjenu od tada
+    addedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    addedAt: { type: Date, default: Date.now },
+  },
+  { _id: false, strict: "throw" }
+);
+
+const watchlistSchema = new mongoose.Schema(
+  {
+    name: { type: String, required, trim: true, maxlength: [100, "Najviše 100 znakova"] },
+    description: { type: String, trim: true, default: "" },
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: "User", required },
+    sharedWith: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    entries: [watchlistEntrySchema],
+  },
+  { strict: "throw", versionKey: false, timestamps: true }
+);
+watchlistSchema.index({ owner: 1 });
+watchlistSchema.index({ sharedWith: 1 });
+const Watchlist = mongoose.model("Watchlist", watchlistSchema, "Watchlists");
+
+module.exports = {
+  ROLES,
+  PRIORITIES,
+  ENTRY_STATUSES,
+  Player,
+  RawClub,
+  RawClubPlayer,
+  RawTransfer,
+  Club,
+  ClubPlayer,
+  CleanPlayer,
+  Transfer,
+  MarketValue,
+  Rejection,
+  ImportRun,
+  SnapshotRecord,
+  ValuationModel,
+  EVENT_TYPES,
+  PlayerState,
+  Event,
+  User,
+  Session,
+  Watchlist,
+};
@@ -0,0 +1,355 @@
+// Zajedničko parsiranje iznosa, naknada, datuma i sezona. Koriste ga import.js,
+// ETL i API, pa se isti tekst svugdje pretvara u istu vrijednost.
+//
+// Parseri vraćaju null kad vrijednosti nema ("", "-", "?") ili kad se ulaz ne
+// može pročitati. U drugom slučaju zovu i reject(vrsta, ulaz) pa pozivatelj
+// može zabilježiti neispravan podatak (vidi createRejectionReport).
+
+const EMPTY_MARKERS = ["", "-", "?", "n/a"];
+
+const REJECTION_MESSAGES = {
+  money: 'neprepoznat iznos (očekivano npr. "€12.50m", "€800k" ili "€800Th.")',
+  fee: "neprepoznata naknada",
+  date: 'neprepoznat datum (očekivano npr. "2023-07-01", "01.07.2023" ili "Jul 1, 2023")',
+  season: 'neprepoznata sezona (očekivano "2023", "23/24" ili "2023/24")',
+};
+
+const ignore = () => {};
+
+function isEmptyMarker(input) {
+  if (input === undefined || input === null) return true;
+  return EMPTY_MARKERS.includes(String(input).trim().toLowerCase());
+}
+
+// Iznosi s Transfermarkta: "€12.50m", "€800Th.", "€500k", "€1.2bn", "+€3.40m"
+const MONEY_PATTERN = /^([+-])?\s*€?\s*(\d+(?:[.,]\d+)?)\s*(bn|m|k|th\.)?$/i;
+const MONEY_MULTIPLIERS = { bn: 1_000_000_000, m: 1_000_000, k: 1_000, "th.": 1_000 };
+
+function parseMoney(input, reject = ignore) {
+  if (typeof input === "number") return Number.isFinite(input) ? input : null;
+  if (isEmptyMarker(input)) return null;
+
+  const match = String(input).trim().match(MONEY_PATTERN);
+  if (!match) {
+    reject("money", input);
+    return null;
+  }
+
+  const [, sign, number, suffix] = match;
+  const multiplier = MONEY_MULTIPLIERS[(suffix || "").toLowerCase()] || 1;
+  const value = Math.round(parseFloat(number.replace(",", ".")) * multiplier);
+  return sign === "-" ? -value : value;
+}
+
+// Vrste transfera prema tekstu u polju "fee"
+const FEE_TYPES = ["paid", "free", "loan", "loan_fee", "end_of_loan", "unknown"];
+
+// Iznos bilo gdje u tekstu naknade ("Loan fee:€2.00m", "loan fee: €2m")
+const AMOUNT_PATTERN = /€\s*\d+(?:[.,]\d+)?\s*(?:bn|m|k|th\.)?/i;
+
+// Vraća { type, amount }; amount je null kad iznos nije poznat
+function parseFee(input, reject = ignore) {
+  if (isEmptyMarker(input)) return { type: "unknown", amount: null };
+
+  const text = String(input).trim();
+  const lower = text.toLowerCase();
+  const found = text.match(AMOUNT_PATTERN);
+  const amount = parseMoney(found ? found[0] : text);
+
+  if (lower.includes("end of loan")) return { type: "end_of_loan", amount: 0 };
+  if (lower.includes("loan fee")) return { type: "loan_fee", amount };
+  if (lower.includes("loan")) return { type: "loan", amount: 0 };
+  if (lower.includes("free")) return { type: "free", amount: 0 };
+  if (amount !== null) return { type: "paid", amount };
+
+  reject("fee", input);
+  return { type: "unknown", amount: null };
+}
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+function utcDay(year, month, day) {
+  const date = new Date(Date.UTC(year, month, day));
+  // Date.UTC prebacuje 31.02. u ožujak, takav datum ne valja
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month && date.getUTCDate() === day
+    ? date
+    : null;
+}
+
+const monthIndex = (name) => MONTHS.indexOf(name.slice(0, 3).toLowerCase());
+
+const DATE_FORMATS = [
+  // 2023-07-01
+  [/^(\d{4})-(\d{1,2})-(\d{1,2})$/, (m) => utcDay(+m[1], m[2] - 1, +m[3])],
+  // 2023-07-01T12:00:00.000Z
+  [/^\d{4}-\d{2}-\d{2}T[\d:.]+(Z|[+-]\d{2}:?\d{2})?$/, (m) => new Date(m[0])],
+  // 01.07.2023 ili 1.7.2023.
+  [/^(\d{1,2})\.\s*(\d{1,2})\.\s*(\d{4})\.?$/, (m) => utcDay(+m[3], m[2] - 1, +m[1])],
+  // 01/07/2023 (dan/mjesec/godina)
+  [/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/, (m) => utcDay(+m[3], m[2] - 1, +m[1])],
+  // Jul 1, 2023 ili July 1, 2023
+  [/^([a-z]{3,})\.?\s+(\d{1,2}),?\s+(\d{4})$/i, (m) => utcDay(+m[3], monthIndex(m[1]), +m[2])],
+  // 1 Jul 2023
+  [/^(\d{1,2})\.?\s+([a-z]{3,})\.?\s+(\d{4})$/i, (m) => utcDay(+m[3], monthIndex(m[2]), +m[1])],
+];
+
+// Datum kao Date (ponoć UTC). Transfermarkt uz datum rođenja piše i dob,
+// "Sep 9, 1985 (38)", pa se dob u zagradi zanemaruje.
+function parseDate(input, reject = ignore) {
+  if (input instanceof Date) return isNaN(input.getTime()) ? null : input;
+  if (isEmptyMarker(input)) return null;
+
+  const text = String(input).trim().replace(/\s*\(\d+\)$/, "");
+  for (const [pattern, build] of DATE_FORMATS) {
+    const match = text.match(pattern);
+    if (!match) continue;
+    const date = build(match);
+    if (date && !isNaN(date.getTime())) return date;
+    break;
+  }
+
+  reject("date", input);
+  return null;
+}
+
+// Iznos u eurima kao "€12.50m" / "€800k" (oblik iz izvornih podataka)
+function formatEuro(value) {
+  if (!value) return "N/A";
+  if (value >= 1_000_000) return `€${(value / 1_000_000).toFixed(2)}m`;
+  return `€${Math.round(value / 1_000)}k`;
+}
+
+// Datum kao "GGGG-MM-DD" (oblik u kojem ga čuvaju sirove kolekcije)
+function formatIsoDay(date) {
+  return date ? date.toISOString().slice(0, 10) : "";
+}
+
+// Sezona može doći kao 2023, "2023", "2023/24" ili "23/24" - vraća početnu godinu
+function parseSeason(input, reject = ignore) {
+  if (typeof input === "number") return Number.isInteger(input) ? input : null;
+  if (isEmptyMarker(input)) return null;
+  const text = String(input).trim();
+
+  const full = text.match(/^(\d{4})(?:\/\d{2}|\/\d{4})?$/);
+  if (full) return Number(full[1]);
+
+  const short = text.match(/^(\d{2})\/\d{2}$/);
+  if (short) {
+    const year = Number(short[1]);
+    return year >= 50 ? 1900 + year : 2000 + year;
+  }
+
+  reject("season", input);
+  return null;
+}
+
+// Oblici u kojima se sezona koja počinje u "year" može pojaviti kao tekst
+function seasonLabels(year) {
+  const short = (y) => String(y % 100).padStart(2, "0");
+  return [
+    String(year),
+    `${short(year)}/${short(year + 1)}`,
+    `${year}/${short(year + 1)}`,
+    `${year}/${year + 1}`,
+  ];
+}
+
+// Vrijednosti iz club_players nemaju datum pa se vežu uz početak sezone (1. srpnja)
+function seasonStartDate(year) {
+  return new Date(Date.UTC(year, 6, 1));
+}
+
+// Sezona kojoj datum pripada (sezona počinje 1. srpnja)
+function seasonOfDate(date) {
+  const year = date.getUTCFullYear();
+  return date.getUTCMonth() >= 6 ? year : year - 1;
+}
+
+// Izvještaj o neparsiranim podacima. base se dodaje svakom zapisu
+// (npr. { source: "etl", stage: "transfers" }).
+function createRejectionReport(base = {}) {
+  const entries = [];
+
+  const add = (entry) => {
+    entries.push({ ...base, message: REJECTION_MESSAGES[entry.kind] || "", ...entry });
+  };
+
+  return {
+    entries,
+    add,
+    // reject funkcija za parsere: parseMoney(row.mv, report.field("mv", { record }))
+    field: (field, context = {}) => (kind, input) =>
+      add({ ...context, field, kind, input: String(input) }),
+    // broj odbijenih vrijednosti po polju i vrsti
+    summary() {
+      const counts = new Map();
+      for (const { field = null, kind } of entries) {
+        const key = JSON.stringify([field, kind]);
+        counts.set(key, (counts.get(key) || 0) + 1);
+      }
+      return [...counts].map(([key, count]) => {
+        const [field, kind] = JSON.parse(key);
+        return { field, kind, count };
+      });
+    },
+  };
+}
+
+// Ista logika kao parseMoney, ali kao aggregation izraz kako bi se
+// filtriranje i sortiranje po vrijednosti moglo raditi u samoj bazi.
+// Za razliku od parseMoney, nepoznata vrijednost daje 0.
+function marketValueExpr(field) {
+  return {
+    $let: {
+      vars: {
+        raw: {
+          $trim: {
+            input: {
+              $replaceAll: {
+                input: {
+                  $replaceAll: {
+                    input: {
+                      $convert: { input: field, to: "string", onError: "", onNull: "" },
+                    },
+                    find: "€",
+                    replacement: "",
+                  },
+                },
+                find: ",",
+                replacement: ".",
+              },
+            },
+          },
+        },
+      },
+      in: {
+        $let: {
+          vars: {
+            number: {
+              $let: {
+                // predznak kao u parseMoney: "+€3m", "-€2m"
+                vars: {
+                  found: { $regexFind: { input: "$$raw", regex: /^([+-])?\s*(\d+(\.\d+)?)/ } },
+                },
+                in: {
+                  $multiply: [
+                    {
+                      $convert: {
+                        input: { $arrayElemAt: ["$$found.captures", 1] },
+                        to: "double",
+                        onError: 0,
+                        onNull: 0,
+                      },
+                    },
+                    { $cond: [{ $eq: [{ $arrayElemAt: ["$$found.captures", 0] }, "-"] }, -1, 1] },
+                  ],
+                },
+              },
+            },
+          },
+          in: {
+            $switch: {
+              branches: Object.entries({ bn: /bn$/i, m: /m$/i, k: /(th\.|k)$/i }).map(
+                ([suffix, regex]) => ({
+                  case: { $regexMatch: { input: "$$raw", regex } },
+                  then: { $multiply: ["$$number", MONEY_MULTIPLIERS[suffix]] },
+                })
+              ),
+              default: "$$number",
+            },
+          },
+        },
+      },
+    },
+  };
+}
+
+// Isto kao parseSeason, ali kao aggregation izraz za sortiranje po sezoni u
+// bazi (club_players miješa 2023, "2023", "23/24" i "2023/24"). Nepoznata
+// sezona daje null.
+function seasonYearExpr(field) {
+  return {
+    $let: {
+      vars: {
+        text: { $cond: [{ $eq: [{ $type: field }, "string"] }, { $trim: { input: field } }, ""] },
+      },
+      in: {
+        $switch: {
+          branches: [
+            { case: { $isNumber: field }, then: field },
+            {
+              case: { $regexMatch: { input: "$$text", regex: /^\d{4}(\/\d{2}|\/\d{4})?$/ } },
+              then: { $toInt: { $substrBytes: ["$$text", 0, 4] } },
+            },
+            {
+              case: { $regexMatch: { input: "$$text", regex: /^\d{2}\/\d{2}$/ } },
+              then: {
+                $let: {
+                  vars: { short: { $toInt: { $substrBytes: ["$$text", 0, 2] } } },
+                  in: { $add: ["$$short", { $cond: [{ $gte: ["$$short", 50] }, 1900, 2000] }] },
+                },
+              },
+            },
+          ],
+          default: null,
+        },
+      },
+    },
+  };
+}
+
+// Isto kao parseFee, ali kao aggregation izraz za filtriranje u bazi
+function feeTypeExpr(field) {
+  const lower = { $toLower: { $trim: { input: { $ifNull: [field, ""] } } } };
+  const has = (regex) => ({ $regexMatch: { input: lower, regex } });
+
+  return {
+    $switch: {
+      branches: [
+        { case: { $in: [lower, EMPTY_MARKERS] }, then: "unknown" },
+        { case: has(/end of loan/), then: "end_of_loan" },
+        { case: has(/loan fee/), then: "loan_fee" },
+        { case: has(/loan/), then: "loan" },
+        { case: has(/free/), then: "free" },
+        { case: { $regexMatch: { input: lower, regex: AMOUNT_PATTERN } }, then: "paid" },
+        { case: { $regexMatch: { input: lower, regex: MONEY_PATTERN } }, then: "paid" },
+      ],
+      default: "unknown",
+    },
+  };
+}
+
+function feeAmountExpr(field, typeField) {
+  return {
+    $cond: [
+      { $in: [typeField, ["paid", "loan_fee"]] },
+      marketValueExpr({
+        $let: {
+          vars: { found: { $regexFind: { input: field, regex: AMOUNT_PATTERN } } },
+          in: { $ifNull: ["$$found.match", field] },
+        },
+      }),
+      0,
+    ],
+  };
+}
+
+module.exports = {
+  REJECTION_MESSAGES,
+  FEE_TYPES,
+  isEmptyMarker,
+  parseMoney,
+  parseFee,
+  parseDate,
+  formatEuro,
+  formatIsoDay,
+  parseSeason,
+  seasonLabels,
+  seasonStartDate,
+  seasonOfDate,
+  createRejectionReport,
+  marketValueExpr,
+  seasonYearExpr,
+  feeTypeExpr,
+  feeAmountExpr,
+};
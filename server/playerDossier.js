@@ -0,0 +1,240 @@
+const PDFDocument = require("pdfkit");
+const { parseDate, parseFee, formatEuro } = require("./parsers");
+
+// PDF profil igrača za ispis: osobni podaci, kretanje tržišne vrijednosti i
+// transferi. Standardni PDF fontovi nemaju č, ć i đ pa se bez PDF_FONT (putanja
+// do TTF fonta) ta slova zamjenjuju slovima bez kvačica.
+
+const FONT = process.env.PDF_FONT;
+const MARGIN = 50;
+const ROW_HEIGHT = 16;
+const ACCENT = "#007bff";
+const SOURCES = { club_players: "Sezona u klubu", transfer: "Transfer", manual: "Ručni unos" };
+
+const formatDay = (date) => (date ? date.toLocaleDateString("hr-HR") : "N/A");
+
+function calculateAge(birthDate, now = new Date()) {
+  let age = now.getUTCFullYear() - birthDate.getUTCFullYear();
+  const beforeBirthday =
+    now.getUTCMonth() < birthDate.getUTCMonth() ||
+    (now.getUTCMonth() === birthDate.getUTCMonth() && now.getUTCDate() < birthDate.getUTCDate());
+  return beforeBirthday ? age - 1 : age;
+}
+
+// Znakovi izvan Latin-1 (osim € i š/ž koje standardni fontovi imaju) bez kvačica
+function plainText(value) {
+  const text = value === undefined || value === null ? "" : String(value);
+  if (FONT) return text;
+  return text.replace(
+    /[^\u0020-\u00ff€šŠžŽ]/g,
+    (char) =>
+      ({ đ: "d", Đ: "D", ł: "l", Ł: "L" })[char] ??
+      char.normalize("NFD").replace(/[^\u0020-\u00ff]/g, "")
+  );
+}
+
+function createDocument(title) {
+  const doc = new PDFDocument({ size: "A4", margin: MARGIN, info: { Title: plainText(title) } });
+  if (FONT) {
+    doc.registerFont("regular", FONT);
+    doc.registerFont("bold", FONT);
+  } else {
+    doc.registerFont("regular", "Helvetica");
+    doc.registerFont("bold", "Helvetica-Bold");
+  }
+  return doc.font("regular");
+}
+
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) doc.addPage();
+}
+
+function heading(doc, text) {
+  ensureSpace(doc, 40);
+  doc.moveDown(1).font("bold").fontSize(14).fillColor(ACCENT).text(plainText(text), MARGIN);
+  doc.moveDown(0.3).font("regular").fontSize(10).fillColor("#222");
+}
+
+// Tablica: columns [{ header, width }], rows su nizovi vrijednosti.
+// Bez zaglavlja ako nijedan stupac nema header.
+function table(doc, columns, rows) {
+  const drawRow = (cells, font) => {
+    ensureSpace(doc, ROW_HEIGHT);
+    const y = doc.y;
+    let x = MARGIN;
+    doc.font(font);
+    cells.forEach((cell, i) => {
+      doc.text(plainText(cell), x, y, {
+        width: columns[i].width - 6,
+        lineBreak: false,
+        ellipsis: true,
+      });
+      x += columns[i].width;
+    });
+    doc.x = MARGIN;
+    doc.y = y + ROW_HEIGHT;
+  };
+
+  if (columns.some((c) => c.header)) {
+    drawRow(
+      columns.map((c) => c.header),
+      "bold"
+    );
+  }
+  rows.forEach((cells) => drawRow(cells, "regular"));
+  doc.font("regular");
+}
+
+// Linijski graf vrijednosti (isti prikaz kao ValueChart na webu)
+function valueChart(doc, history) {
+  const width = doc.page.width - 2 * MARGIN - 60;
+  const height = 140;
+  ensureSpace(doc, height + 30);
+
+  const left = MARGIN + 60;
+  const top = doc.y + 5;
+  const times = history.map((p) => new Date(p.date).getTime());
+  const minTime = Math.min(...times);
+  const maxTime = Math.max(...times);
+  const maxValue = Math.max(...history.map((p) => p.value));
+  const x = (time) =>
+    left + (maxTime === minTime ? width / 2 : ((time - minTime) / (maxTime - minTime)) * width);
+  const y = (value) => top + height - (value / maxValue) * height;
+
+  doc.save().strokeColor("#bbbbbb").lineWidth(1);
+  doc
+    .moveTo(left, top)
+    .lineTo(left, top + height)
+    .lineTo(left + width, top + height)
+    .stroke();
+  doc.restore();
+
+  doc.fontSize(8).fillColor("#666");
+  doc.text(formatEuro(maxValue), MARGIN, top - 3, { width: 55, align: "right" });
+  doc.text("€0", MARGIN, top + height - 6, { width: 55, align: "right" });
+  doc.text(String(new Date(minTime).getUTCFullYear()), left, top + height + 4);
+  doc.text(String(new Date(maxTime).getUTCFullYear()), left + width - 40, top + height + 4, {
+    width: 40,
+    align: "right",
+  });
+
+  doc.save().strokeColor(ACCENT).fillColor(ACCENT).lineWidth(2);
+  history.forEach((p, i) => {
+    const px = x(times[i]);
+    const py = y(p.value);
+    if (i === 0) doc.moveTo(px, py);
+    else doc.lineTo(px, py);
+  });
+  doc.stroke();
+  history.forEach((p, i) => doc.circle(x(times[i]), y(p.value), 2.5).fill());
+  doc.restore();
+
+  doc.fontSize(10).fillColor("#222");
+  doc.x = MARGIN;
+  doc.y = top + height + 20;
+}
+
+// Piše PDF u stream (npr. HTTP odgovor). player je rezultat /api/player/:id,
+// history i summary iz buildValueHistory / summarizeHistory.
+function writePlayerDossier(stream, { player, history, summary }) {
+  const name = player.given_name || player.clubPlayer?.Player_name || "Nepoznato";
+  const doc = createDocument(name);
+  doc.pipe(stream);
+
+  doc.font("bold").fontSize(20).fillColor("#222").text(plainText(name));
+  doc
+    .font("regular")
+    .fontSize(9)
+    .fillColor("#666")
+    .text(plainText(`Profil igrača, stanje na dan ${formatDay(new Date())}`));
+
+  heading(doc, "Osobni podaci");
+  const birthDate = parseDate(player.date_of_birth);
+  const contractExpires = parseDate(player.contract_expires);
+  const bio = [
+    [
+      "Datum rođenja",
+      birthDate ? `${formatDay(birthDate)} (${calculateAge(birthDate)} god.)` : "Nepoznato",
+    ],
+    ["Državljanstvo", player.citizenship || "Nepoznato"],
+    ["Trenutni klub", player.club_name || player.current_club || "Nepoznato"],
+    ["Pozicija", player.clubPlayer?.Player_possition || "N/A"],
+    ["Agent", player.agent || "Nepoznato"],
+    ["Ugovor do", contractExpires ? formatDay(contractExpires) : "Nepoznato"],
+    ["Tržišna vrijednost", player.clubPlayer?.Player_MarketValue || formatEuro(player.value)],
+  ];
+  table(
+    doc,
+    [
+      { header: "", width: 130 },
+      { header: "", width: 365 },
+    ],
+    bio
+  );
+
+  heading(doc, "Kretanje tržišne vrijednosti");
+  if (history.length === 0) {
+    doc.text("Nema podataka o tržišnoj vrijednosti.");
+  } else {
+    valueChart(doc, history);
+    if (summary.peak) {
+      doc.text(
+        plainText(
+          `Najveća vrijednost: ${formatEuro(summary.peak.value)} (${formatDay(new Date(summary.peak.date))})`
+        )
+      );
+    }
+    if (summary.changeSinceLastSeason) {
+      const change = summary.changeSinceLastSeason;
+      const sign = change.value > 0 ? "+" : change.value < 0 ? "-" : "";
+      doc.text(
+        plainText(`Promjena od prošle sezone: ${sign}${formatEuro(Math.abs(change.value))}`)
+      );
+    }
+    doc.moveDown(0.5);
+    table(
+      doc,
+      [
+        { header: "Datum", width: 100 },
+        { header: "Vrijednost", width: 100 },
+        { header: "Izvor", width: 295 },
+      ],
+      history.map((p) => [formatDay(new Date(p.date)), formatEuro(p.value), SOURCES[p.source] || p.source])
+    );
+  }
+
+  heading(doc, "Transferi");
+  const transfers = (player.transfers || [])
+    .map((t) => ({ ...t, parsedDate: parseDate(t.date) }))
+    .sort((a, b) => (b.parsedDate?.getTime() || 0) - (a.parsedDate?.getTime() || 0));
+  if (transfers.length === 0) {
+    doc.text("Nema podataka o transferima.");
+  } else {
+    table(
+      doc,
+      [
+        { header: "Sezona", width: 55 },
+        { header: "Datum", width: 70 },
+        { header: "Iz", width: 120 },
+        { header: "U", width: 120 },
+        { header: "Vrijednost", width: 60 },
+        { header: "Naknada", width: 70 },
+      ],
+      transfers.map((t) => {
+        const { amount } = parseFee(t.fee);
+        return [
+          t.season,
+          formatDay(t.parsedDate),
+          t.left || "N/A",
+          t.joined || "N/A",
+          t.mv || "N/A",
+          amount ? formatEuro(amount) : t.fee || "N/A",
+        ];
+      })
+    );
+  }
+
+  doc.end();
+}
+
+module.exports = { writePlayerDossier };
@@ -0,0 +1,69 @@
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Vraća { page, pageSize } ili null ako parametri nisu pozitivni cijeli brojevi
+function parsePagination(query) {
+  const page = query.page === undefined ? 1 : Number(query.page);
+  const pageSize =
+    query.pageSize === undefined ? DEFAULT_PAGE_SIZE : Number(query.pageSize);
+
+  if (!Number.isInteger(page) || page < 1) return null;
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    return null;
+  }
+  return { page, pageSize };
+}
+
+// $facet faza koja vraća jednu stranicu rezultata i ukupan broj zapisa.
+// pageStages se izvode samo nad zapisima na stranici (npr. skupi $lookup).
+function paginationStage(key, { page, pageSize }, pageStages = []) {
+  return {
+    $facet: {
+      [key]: [{ $skip: (page - 1) * pageSize }, { $limit: pageSize }, ...pageStages],
+      total: [{ $count: "count" }],
+    },
+  };
+}
+
+// Omotnica odgovora za rezultat paginationStage faze
+function pageResponse(key, result, { page, pageSize }) {
+  const total = result.total[0]?.count || 0;
+  return {
+    [key]: result[key],
+    total,
+    page,
+    pageSize,
+    hasMore: page * pageSize < total,
+  };
+}
+
+// Korisnički unos ide u $regex pa se posebni znakovi moraju escapeati
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Parametar zadan više puta (?type=a&type=b) Express predaje kao niz, a rute
+// ih čitaju kao tekst. Takav zahtjev se odbija s 400 prije rute.
+function singleQueryParams(req, res, next) {
+  const repeated = Object.keys(req.query).find((key) => typeof req.query[key] !== "string");
+  if (repeated) {
+    return res.status(400).json({ message: `Parametar ${repeated} smije biti zadan samo jednom` });
+  }
+  next();
+}
+
+// Id se u sirovim kolekcijama može nalaziti kao broj ili kao tekst
+function idValues(id) {
+  return { $in: [id, String(id)] };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  parsePagination,
+  paginationStage,
+  pageResponse,
+  escapeRegex,
+  idValues,
+  singleQueryParams,
+};
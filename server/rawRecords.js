@@ -0,0 +1,43 @@
+// Upisi preko API-ja za zapise koje puni ETL (transferi, igrači u momčadi).
+// Zapis se sprema u sirovu kolekciju iz koje ga ETL faza čita (stage.raw,
+// sirovi oblik daje stage.toRaw, a stage.rawFilter sužava pretragu) i u
+// očišćenu kolekciju za rute koje čitaju nju. Sljedeći npm run etl iz sirovog
+// zapisa dobije isti očišćeni zapis pa izmjenu ne pregazi, a --prune je ne briše.
+
+const ignore = () => () => {};
+
+function sameKey(fields, a, b) {
+  const normalize = (value) => (value instanceof Date ? value.toISOString() : (value ?? null));
+  return fields.every((f) => normalize(a[f]) === normalize(b[f]));
+}
+
+// Sirovi zapisi iz kojih ETL faza stage dobiva očišćeni zapis doc
+async function findRawRows(stage, doc) {
+  const rows = await stage.raw.find(stage.rawFilter(doc)).lean();
+  return rows.filter((row) => {
+    const result = stage.transform(row, ignore);
+    return result.doc && sameKey(stage.key, result.doc, doc);
+  });
+}
+
+// Sirove zapise očišćenog zapisa before (null za novi zapis) zamjenjuje
+// zapisom after (null za brisanje). Očišćeni zapis koji još nema sirovi
+// (npr. upisan prije nego što su upisi išli u sirovu kolekciju) ga dobiva.
+async function writeRaw(stage, before, after) {
+  const rows = before ? await findRawRows(stage, before) : [];
+  if (after) {
+    const raw = stage.toRaw(after);
+    const row = rows.shift();
+    if (row) {
+      await stage.raw.collection.updateOne({ _id: row._id }, { $set: raw });
+    } else {
+      await stage.raw.collection.insertOne(raw);
+    }
+  }
+  // ostali su duplikati koje bi ETL ionako preskočio
+  if (rows.length) {
+    await stage.raw.collection.deleteMany({ _id: { $in: rows.map((r) => r._id) } });
+  }
+}
+
+module.exports = { writeRaw };
@@ -0,0 +1,55 @@
+const express = require("express");
+const { Rejection } = require("./models");
+const {
+  MAX_PAGE_SIZE,
+  parsePagination,
+  paginationStage,
+  pageResponse,
+} = require("./queryHelpers");
+
+const router = express.Router();
+
+// GET /api/rejections?source=&stage=&field=&kind=&page=&pageSize=
+// Podaci koje zadnji uvoz ili ETL nisu mogli pročitati, s brojem odbijenih
+// vrijednosti po izvoru, fazi, polju i vrsti (summary).
+router.get("/", async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query);
+    if (!pagination) {
+      return res.status(400).json({
+        message: `page mora biti >= 1, a pageSize između 1 i ${MAX_PAGE_SIZE}`,
+      });
+    }
+
+    const filter = {};
+    for (const key of ["source", "stage", "field", "kind"]) {
+      if (req.query[key]) filter[key] = req.query[key];
+    }
+
+    const [result] = await Rejection.aggregate([
+      { $match: filter },
+      { $sort: { source: 1, stage: 1, _id: 1 } },
+      {
+        $facet: {
+          ...paginationStage("rejections", pagination).$facet,
+          summary: [
+            {
+              $group: {
+                _id: { source: "$source", stage: "$stage", field: "$field", kind: "$kind" },
+                count: { $sum: 1 },
+              },
+            },
+            { $replaceRoot: { newRoot: { $mergeObjects: ["$_id", { count: "$count" }] } } },
+            { $sort: { count: -1 } },
+          ],
+        },
+      },
+    ]);
+
+    res.json({ summary: result.summary, ...pageResponse("rejections", result, pagination) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,251 @@
+// Pretraživanje igrača po imenu, klubu i agentu bez obzira na dijakritike
+// ("Modric" nalazi "Modrić", "Odegaard" nalazi "Ødegaard") i uz tipfelere.
+//
+// Za svakog igrača u players_data čuvaju se polja search_name, search_terms
+// (riječi iz imena, kluba i agenta) i search_grams (trigrami tih riječi).
+// Kandidati se traže preko indeksa na search_terms (početak riječi), a uz
+// tipfelere preko search_grams, i rangiraju se u rankPlayers.
+
+// Slova koja Unicode normalizacija ne rastavlja na osnovno slovo i kvačicu
+const SPECIAL_LETTERS = {
+  ø: "o",
+  đ: "d",
+  ł: "l",
+  ı: "i",
+  æ: "ae",
+  œ: "oe",
+  ß: "ss",
+  þ: "th",
+};
+
+function foldText(text) {
+  return String(text || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[øđłıæœßþ]/g, (letter) => SPECIAL_LETTERS[letter])
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+function tokenize(text) {
+  const folded = foldText(text);
+  return folded ? folded.split(" ") : [];
+}
+
+function trigrams(word) {
+  const padded = ` ${word} `;
+  const grams = [];
+  for (let i = 0; i < padded.length - 2; i++) grams.push(padded.slice(i, i + 3));
+  return grams;
+}
+
+// Polja za pretraživanje iz podataka o igraču (players_data)
+function searchFields(player) {
+  const terms = [
+    ...new Set([
+      ...tokenize(player.given_name),
+      ...tokenize(player.current_club),
+      ...tokenize(player.agent),
+    ]),
+  ];
+  return {
+    search_name: foldText(player.given_name),
+    search_terms: terms,
+    search_grams: [...new Set(terms.flatMap(trigrams))],
+  };
+}
+
+// Broj izmjena (umetanje, brisanje, zamjena ili zamjena susjednih slova)
+// potrebnih da a postane b
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+// Dozvoljen broj tipfelera raste s duljinom riječi
+function maxTypos(term) {
+  if (term.length <= 3) return 0;
+  return term.length <= 6 ? 1 : 2;
+}
+
+// Koliko dobro riječ iz upita odgovara riječi iz podataka (0 - 1).
+// Upit može biti i početak riječi (pretraživanje dok se tipka).
+function termScore(term, word) {
+  if (word === term) return 1;
+  if (word.startsWith(term)) return 0.8;
+
+  const allowed = maxTypos(term);
+  if (allowed === 0) return 0;
+  const whole = editDistance(term, word);
+  if (whole <= allowed) return 0.7 - whole * 0.1;
+  const prefix = editDistance(term, word.slice(0, term.length));
+  if (prefix <= allowed) return 0.5 - prefix * 0.1;
+  return 0;
+}
+
+const FIELD_WEIGHTS = { name: 3, club: 1.5, agent: 1 };
+
+// Rangira igrače prema upitu. Svaka riječ upita mora odgovarati nekoj riječi
+// iz imena, kluba ili agenta; pogodak u imenu vrijedi najviše.
+function rankPlayers(query, players) {
+  const terms = tokenize(query);
+  if (terms.length === 0) return [];
+
+  const ranked = [];
+  for (const player of players) {
+    const fields = {
+      name: tokenize(player.given_name),
+      club: tokenize(player.current_club),
+      agent: tokenize(player.agent),
+    };
+
+    let score = 0;
+    const matchedFields = new Set();
+    for (const term of terms) {
+      let best = { score: 0, field: null };
+      for (const [field, words] of Object.entries(fields)) {
+        for (const word of words) {
+          const s = termScore(term, word) * FIELD_WEIGHTS[field];
+          if (s > best.score) best = { score: s, field };
+        }
+      }
+      if (best.score === 0) {
+        score = 0;
+        break;
+      }
+      score += best.score;
+      matchedFields.add(best.field);
+    }
+
+    if (score > 0) {
+      // cijelo ime točno kao upit ide na vrh
+      if (foldText(player.given_name) === terms.join(" ")) score += 2;
+      ranked.push({ ...player, score, matchedFields: [...matchedFields] });
+    }
+  }
+
+  return ranked.sort(
+    (a, b) => b.score - a.score || String(a.given_name).localeCompare(b.given_name, "hr")
+  );
+}
+
+// Broj kandidata za prijedloge (/api/players/search); popis igrača ih nema
+const CANDIDATE_LIMIT = 200;
+// udio trigrama upita koje kandidat mora imati kad se traži po trigramima
+const MIN_GRAM_OVERLAP = 0.5;
+
+// Svaka riječ upita počinje neku riječ igrača. Uvjet na početak riječi koristi
+// indeks na search_terms.
+function prefixMatch(terms) {
+  return {
+    // riječi nakon foldText sadrže samo a-z i 0-9 pa ih nije potrebno escapeati
+    $and: terms.map((term) => ({ search_terms: new RegExp(`^${term}`) })),
+  };
+}
+
+// Igrači s barem MIN_GRAM_OVERLAP trigrama upita, broj zajedničkih u gramOverlap
+function gramMatchStages(terms) {
+  const grams = [...new Set(terms.flatMap(trigrams))];
+  return [
+    { $match: { search_grams: { $in: grams } } },
+    {
+      $addFields: {
+        gramOverlap: { $size: { $setIntersection: ["$search_grams", grams] } },
+      },
+    },
+    { $match: { gramOverlap: { $gte: Math.ceil(grams.length * MIN_GRAM_OVERLAP) } } },
+  ];
+}
+
+// Rang u upitu, po uzoru na rankPlayers: riječ upita vrijedi više ako je
+// cijela riječ, a najviše u imenu (klub i agent se u search_terms ne
+// razlikuju). Cijelo ime točno kao upit ide na vrh.
+function prefixRankExpr(terms) {
+  const nameWords = { $split: [{ $ifNull: ["$search_name", ""] }, " "] };
+  const startsWith = (words, term) => ({
+    $anyElementTrue: [
+      { $map: { input: words, in: { $eq: [{ $indexOfBytes: ["$$this", term] }, 0] } } },
+    ],
+  });
+  return {
+    $add: [
+      ...terms.map((term) => ({
+        $switch: {
+          branches: [
+            { case: { $in: [term, nameWords] }, then: FIELD_WEIGHTS.name },
+            { case: startsWith(nameWords, term), then: FIELD_WEIGHTS.name * 0.8 },
+            { case: { $in: [term, "$search_terms"] }, then: FIELD_WEIGHTS.club },
+          ],
+          default: FIELD_WEIGHTS.club * 0.8,
+        },
+      })),
+      { $cond: [{ $eq: ["$search_name", terms.join(" ")] }, 2, 0] },
+    ],
+  };
+}
+
+// Kandidati za rankPlayers iz players_data (model se predaje jer models.js
+// koristi ovaj modul). Traži se po početku riječi, a po trigramima tek kad
+// tako nema pogodaka. stages se dodaju na kraj upita (npr. $project).
+async function findCandidates(model, query, stages = []) {
+  const terms = tokenize(query);
+  if (terms.length === 0) return [];
+
+  const byPrefix = await model.aggregate([
+    { $match: prefixMatch(terms) },
+    { $sort: { player_id: 1 } },
+    { $limit: CANDIDATE_LIMIT },
+    ...stages,
+  ]);
+  if (byPrefix.length) return byPrefix;
+  return model.aggregate([
+    ...gramMatchStages(terms),
+    { $sort: { gramOverlap: -1, player_id: 1 } },
+    { $limit: CANDIDATE_LIMIT },
+    ...stages,
+  ]);
+}
+
+// Faze za popis igrača (/api/players?name=): isti kandidati kao u
+// findCandidates, ali svi, s rangom u polju searchRank (veći je bolji), pa se
+// popis može straničiti i izvesti u cijelosti.
+async function searchStages(model, query) {
+  const terms = tokenize(query);
+  if (terms.length === 0) return [];
+
+  if (await model.exists(prefixMatch(terms))) {
+    return [{ $match: prefixMatch(terms) }, { $addFields: { searchRank: prefixRankExpr(terms) } }];
+  }
+  return [
+    ...gramMatchStages(terms),
+    {
+      $addFields: {
+        searchRank: {
+          $add: ["$gramOverlap", { $cond: [{ $eq: ["$search_name", terms.join(" ")] }, 2, 0] }],
+        },
+      },
+    },
+  ];
+}
+
+module.exports = {
+  foldText,
+  tokenize,
+  trigrams,
+  searchFields,
+  rankPlayers,
+  findCandidates,
+  searchStages,
+};
@@ -1,162 +1,359 @@
 const express = require("express");
 const mongoose = require("mongoose");
 const cors = require("cors");
+const { MONGO_URL } = require("./db");
+const { Player } = require("./models");
+const { parseMoney, parseFee, marketValueExpr } = require("./parsers");
+const { buildValueHistory, summarizeHistory } = require("./valueHistory");
+const { latestSeasonStages, buildCareerTimeline } = require("./careerTimeline");
+const { foldText, rankPlayers, findCandidates, searchStages } = require("./search");
+const { sendError, fieldError } = require("./validation");
+const { EXPORT_FORMATS, sendExport, exportFailed } = require("./exports");
+const { writePlayerDossier } = require("./playerDossier");
+const { authenticate, requireRole } = require("./auth");
+const { resolveSnapshot, playerAsOf } = require("./snapshots");
+const { parseWeights, findSimilarPlayers } = require("./similarity");
+const { valuePlayer } = require("./valuation");
+const {
+  MAX_PAGE_SIZE,
+  parsePagination,
+  paginationStage,
+  pageResponse,
+  escapeRegex,
+  singleQueryParams,
+} = require("./queryHelpers");
+const clubRoutes = require("./clubRoutes");
+const marketValueRoutes = require("./marketValueRoutes");
+const transferRoutes = require("./transferRoutes");
+const rejectionRoutes = require("./rejectionRoutes");
+const snapshotRoutes = require("./snapshotRoutes");
+const agentRoutes = require("./agentRoutes");
+const contractRoutes = require("./contractRoutes");
+const statsRoutes = require("./statsRoutes");
+const authRoutes = require("./authRoutes");
+const userRoutes = require("./userRoutes");
+const watchlistRoutes = require("./watchlistRoutes");
+const eventRoutes = require("./eventRoutes");
 
 const app = express();
-app.use(cors());
+// kolačić sesije šalje samo frontend s CLIENT_ORIGIN
+const CLIENT_ORIGIN = process.env.CLIENT_ORIGIN || "http://localhost:5173";
+
+app.use(cors({ origin: CLIENT_ORIGIN, credentials: true }));
 app.use(express.json());
+app.use("/api", singleQueryParams);
 
-mongoose.connect("mongodb://127.0.0.1:27017/projekt-transfermarkt");
+// Prijava je jedina ruta bez sesije; svi ostali /api zahtjevi trebaju prijavu,
+// a upis, izvoz i upravljanje korisnicima i odgovarajuću ulogu (requireRole)
+app.use("/api/auth", authRoutes);
+app.use("/api", authenticate);
 
-const playerSchema = new mongoose.Schema({}, { strict: false });
-const Player = mongoose.model("Players", playerSchema, "players_data");
+mongoose.connect(MONGO_URL);
 
-app.get("/api/players", async (req, res) => {
-  try {
-    const {
-      name,
-      citizenship,
-      currentClub,
-      value,
-      position,
-      birthDate,
-      agent,
-    } = req.query;
+// sort=value | -value | age | -age | name | -name
+// Dob se sortira preko datuma rođenja pa je smjer obrnut.
+const SORT_FIELDS = {
+  value: { field: "marketValue", direction: 1 },
+  age: { field: "birthDateParsed", direction: -1 },
+  name: { field: "given_name", direction: 1 },
+};
 
-    const filter = {};
+function parseSort(sort) {
+  if (!sort) return null;
+  const descending = sort.startsWith("-");
+  const key = descending ? sort.slice(1) : sort;
+  const option = SORT_FIELDS[key];
+  if (!option) return undefined;
+  return { [option.field]: descending ? -option.direction : option.direction };
+}
 
-    if (name) {
-      filter.given_name = { $regex: name, $options: "i" };
-    }
-    if (citizenship) {
-      filter.citizenship = { $regex: citizenship, $options: "i" };
-    }
-    if (currentClub) {
-      filter.current_club = { $regex: currentClub, $options: "i" };
-    }
-    if (birthDate) {
-      filter.date_of_birth = { $regex: birthDate, $options: "i" };
+// Faze upita za popis igrača iz parametara /api/players (filteri i sort, bez
+// stranica) - isti upit koriste popis i izvoz. Vraća { message } ako parametar ne valja.
+async function playerListStages(query) {
+  const {
+    name,
+    citizenship,
+    currentClub,
+    value,
+    position,
+    birthDate,
+    agent,
+    minValue,
+    maxValue,
+    sort,
+  } = query;
+
+  const valueRange = {};
+  for (const [key, operator, raw] of [
+    ["minValue", "$gte", minValue],
+    ["maxValue", "$lte", maxValue],
+  ]) {
+    if (!raw) continue;
+    const parsed = parseMoney(raw);
+    if (parsed === null) {
+      return { message: `Neispravan format za ${key}` };
     }
+    valueRange[operator] = parsed;
+  }
 
-    const players = await Player.aggregate([
-      { $match: filter },
-      {
-        $lookup: {
-          from: "club_players",
-          localField: "player_id",
-          foreignField: "PlayerID",
-          as: "clubPlayerData",
-        },
+  const sortStage = parseSort(sort);
+  if (sortStage === undefined) {
+    return { message: `Nepoznato sortiranje: ${sort}` };
+  }
+
+  const filter = {};
+
+  // name se traži kao u /api/players/search: po imenu, klubu i agentu, bez
+  // obzira na dijakritike i uz tipfelere; bez sorta redom po relevantnosti
+  const nameStages = await searchStages(Player, name);
+  if (citizenship) {
+    filter.citizenship = { $regex: escapeRegex(citizenship), $options: "i" };
+  }
+  if (currentClub) {
+    filter.current_club = { $regex: escapeRegex(currentClub), $options: "i" };
+  }
+  if (birthDate) {
+    filter.date_of_birth = { $regex: escapeRegex(birthDate), $options: "i" };
+  }
+
+  const stages = [
+    ...nameStages,
+    { $match: filter },
+    ...latestSeasonStages("clubPlayerData"),
+    {
+      $addFields: {
+        clubPlayer: { $arrayElemAt: ["$clubPlayerData", 0] },
       },
-      {
-        $addFields: {
-          clubPlayer: { $arrayElemAt: ["$clubPlayerData", 0] },
+    },
+    {
+      $addFields: {
+        marketValue: marketValueExpr("$clubPlayer.Player_MarketValue"),
+        birthDateParsed: {
+          $convert: { input: "$date_of_birth", to: "date", onError: null, onNull: null },
         },
       },
-      ...(value
-        ? [
-            {
-              $match: {
-                "clubPlayer.Player_MarketValue": {
-                  $regex: value,
-                  $options: "i",
-                },
+    },
+    ...(Object.keys(valueRange).length
+      ? [{ $match: { marketValue: valueRange } }]
+      : []),
+    ...(value
+      ? [
+          {
+            $match: {
+              "clubPlayer.Player_MarketValue": {
+                $regex: escapeRegex(value),
+                $options: "i",
               },
             },
-          ]
-        : []),
-      ...(position || agent
-        ? [
-            {
-              $match: {
-                ...(position
-                  ? {
-                      "clubPlayer.Player_possition": {
-                        $regex: position,
-                        $options: "i",
-                      },
-                    }
-                  : {}),
-                ...(agent ? { agent: { $regex: agent, $options: "i" } } : {}), 
-              },
+          },
+        ]
+      : []),
+    ...(position || agent
+      ? [
+          {
+            $match: {
+              ...(position
+                ? {
+                    "clubPlayer.Player_possition": {
+                      $regex: escapeRegex(position),
+                      $options: "i",
+                    },
+                  }
+                : {}),
+              ...(agent ? { agent: { $regex: escapeRegex(agent), $options: "i" } } : {}),
             },
-          ]
-        : []),
+          },
+        ]
+      : []),
+    // player_id kao dodatni ključ da bi stranice bile stabilne
+    {
+      $sort: {
+        ...(sortStage || (nameStages.length ? { searchRank: -1 } : {})),
+        player_id: 1,
+      },
+    },
+
+    {
+      $project: {
+        player_id: 1,
+        given_name: 1,
+        value: 1,
+        citizenship: 1,
+        current_club: 1,
+        agent: 1,
+        "clubPlayer.Player_MarketValue": 1,
+        "clubPlayer.Player_possition": 1,
+        "clubPlayer.Player_agent": 1,
+        date_of_birth: 1,
+        marketValue: 1,
+      },
+    },
+  ];
+
+  return { stages };
+}
+
+app.get("/api/players", async (req, res) => {
+  try {
+    const { message, stages } = await playerListStages(req.query);
+    if (message) {
+      return res.status(400).json({ message });
+    }
+
+    const pagination = parsePagination(req.query);
+    if (!pagination) {
+      return res.status(400).json({
+        message: `page mora biti >= 1, a pageSize između 1 i ${MAX_PAGE_SIZE}`,
+      });
+    }
+
+    const [result] = await Player.aggregate([
+      ...stages,
+      paginationStage("players", pagination),
+    ]).collation({ locale: "hr" });
+
+    res.json(pageResponse("players", result, pagination));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Stupci izvoza popisa igrača (CSV i XLSX)
+const PLAYER_EXPORT_COLUMNS = [
+  { header: "ID", key: "player_id", width: 10 },
+  { header: "Ime", key: "given_name", width: 28 },
+  { header: "Datum rođenja", key: "date_of_birth", width: 16 },
+  { header: "Državljanstvo", key: "citizenship", width: 18 },
+  { header: "Klub", key: "current_club", width: 24 },
+  { header: "Pozicija", value: (p) => p.clubPlayer?.Player_possition, width: 20 },
+  { header: "Agent", key: "agent", width: 24 },
+  { header: "Tržišna vrijednost (€)", value: (p) => p.marketValue ?? p.value, width: 20 },
+];
+
+// GET /api/players/export?format=csv|xlsx&... - svi igrači koji odgovaraju
+// istim filterima i sortu kao /api/players, bez stranica
+app.get("/api/players/export", requireRole("analyst"), async (req, res) => {
+  const format = req.query.format || "csv";
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      message: `Format mora biti jedan od: ${EXPORT_FORMATS.join(", ")}`,
+    });
+  }
+
+  try {
+    const { message, stages } = await playerListStages(req.query);
+    if (message) {
+      return res.status(400).json({ message });
+    }
+
+    const cursor = Player.aggregate(stages).collation({ locale: "hr" }).cursor();
+    await sendExport(res, format, "igraci", PLAYER_EXPORT_COLUMNS, cursor);
+  } catch (err) {
+    exportFailed(res, err);
+  }
+});
+
+const MAX_SEARCH_RESULTS = 20;
+
+// GET /api/players/search?q=&limit= - pretraživanje dok se tipka: po imenu,
+// klubu i agentu, bez obzira na dijakritike i uz tipfelere, najbolji pogoci prvi
+app.get("/api/players/search", async (req, res) => {
+  const q = String(req.query.q || "").trim();
+  const limit = req.query.limit === undefined ? 10 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_RESULTS) {
+    return res.status(400).json({
+      message: `limit mora biti između 1 i ${MAX_SEARCH_RESULTS}`,
+    });
+  }
+  if (!foldText(q)) return res.json([]);
 
+  try {
+    const candidates = await findCandidates(Player, q, [
       {
         $project: {
+          _id: 0,
           player_id: 1,
           given_name: 1,
-          value: 1,
-          citizenship: 1,
           current_club: 1,
-          "clubPlayer.Player_MarketValue": 1,
-          "clubPlayer.Player_possition": 1,
-          "clubPlayer.Player_agent": 1,
-          date_of_birth: 1,
+          agent: 1,
+          position: 1,
+          citizenship: 1,
         },
       },
-      { $limit: 50 },
     ]);
 
-    res.json(players);
+    res.json(rankPlayers(q, candidates).slice(0, limit));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// Podaci o igraču za /api/player/:id i /api/players/compare:
+// zapis iz zadnje sezone u club_players, transferi i ime kluba
+const playerDetailsStages = [
+  ...latestSeasonStages("clubPlayersData"),
+  {
+    $lookup: {
+      from: "players_transfers",
+      localField: "player_id",
+      foreignField: "player_id",
+      as: "transfers",
+    },
+  },
+  {
+    $addFields: {
+      clubPlayer: { $arrayElemAt: ["$clubPlayersData", 0] },
+    },
+  },
+  {
+    $lookup: {
+      from: "club", 
+      localField: "clubPlayer.ClubID",
+      foreignField: "ClubID",
+      as: "clubData",
+    },
+  },
+  {
+    $addFields: {
+      club: { $arrayElemAt: ["$clubData", 0] },
+    },
+  },
+  {
+    $project: {
+      player_id: 1,
+      given_name: 1,
+      date_of_birth: 1,
+      citizenship: 1,
+      current_club: 1,
+      agent: 1,
+      value: 1,
+      contract_expires: 1,
+      clubPlayer: 1,
+      transfers: 1,
+      club_name: "$club.Club_name",
+    },
+  },
+];
+
+// GET /api/player/:id?snapshot=|asOf= - igrač; uz snapshot ili asOf kakav je
+// bio u tom uvozu (snapshots.js)
 app.get("/api/player/:id", async (req, res) => {
   const playerId = Number(req.params.id);
 
   try {
+    const { snapshot, status, message } = await resolveSnapshot(req.query);
+    if (message) return res.status(status).json({ message });
+    if (snapshot) {
+      const player = await playerAsOf(snapshot, playerId);
+      if (!player) {
+        return res.status(404).json({ message: `Igrač nije u snapshotu ${snapshot.run}` });
+      }
+      return res.json(player);
+    }
+
     const playerDetails = await Player.aggregate([
       { $match: { player_id: playerId } },
-      {
-        $lookup: {
-          from: "club_players",
-          localField: "player_id",
-          foreignField: "PlayerID",
-          as: "clubPlayersData",
-        },
-      },
-      {
-        $lookup: {
-          from: "players_transfers",
-          localField: "player_id",
-          foreignField: "player_id",
-          as: "transfers",
-        },
-      },
-      {
-        $addFields: {
-          clubPlayer: { $arrayElemAt: ["$clubPlayersData", 0] },
-        },
-      },
-      {
-        $lookup: {
-          from: "club", 
-          localField: "clubPlayer.ClubID",
-          foreignField: "ClubID",
-          as: "clubData",
-        },
-      },
-      {
-        $addFields: {
-          club: { $arrayElemAt: ["$clubData", 0] },
-        },
-      },
-      {
-        $project: {
-          given_name: 1,
-          date_of_birth: 1,
-          citizenship: 1,
-          current_club: 1,
-          agent: 1,
-          clubPlayer: 1,
-          transfers: 1,
-          club_name: "$club.Club_name",
-        },
-      },
+      ...playerDetailsStages,
     ]);
 
     if (playerDetails.length === 0) {
@@ -169,5 +366,225 @@ app.get("/api/player/:id", async (req, res) => {
   }
 });
 
+// GET /api/players/:id/career - klub, liga, pozicija i vrijednost po sezonama
+// s transferima i posudbama, od najstarije sezone
+app.get("/api/players/:id/career", async (req, res) => {
+  const playerId = Number(req.params.id);
+
+  try {
+    const player = await Player.findOne({ player_id: playerId }, { given_name: 1 }).lean();
+    if (!player) {
+      return res.status(404).json({ message: "Igrač nije pronađen" });
+    }
+
+    const career = await buildCareerTimeline(playerId);
+
+    res.json({ player_id: playerId, name: player.given_name, ...career });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/players/:id/valuation - procijenjena vrijednost igrača s 90%
+// rasponom i čimbenicima procjene, uz vrijednost iz kolekcije Players
+// (valuation.js, model se trenira s npm run train-valuation)
+app.get("/api/players/:id/valuation", async (req, res) => {
+  const playerId = Number(req.params.id);
+
+  try {
+    const { valuation, status, message } = await valuePlayer(playerId);
+    if (message) return res.status(status).json({ message });
+
+    res.json(valuation);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+const DEFAULT_SIMILAR = 10;
+const MAX_SIMILAR = 50;
+
+// GET /api/players/:id/similar?maxValue=&maxAge=&weights=&limit= - igrači
+// najsličniji zadanom po poziciji, dobi, visini, nozi, razini lige, kretanju
+// vrijednosti i državljanstvu (similarity.js). weights mijenja težine, npr.
+// weights=position:3,age:1. Podaci su iz kolekcije Players (npm run etl).
+app.get("/api/players/:id/similar", async (req, res) => {
+  const playerId = Number(req.params.id);
+
+  const { weights, message } = parseWeights(req.query.weights);
+  if (message) return res.status(400).json({ message });
+
+  const limit = req.query.limit === undefined ? DEFAULT_SIMILAR : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SIMILAR) {
+    return res.status(400).json({ message: `limit mora biti između 1 i ${MAX_SIMILAR}` });
+  }
+
+  let maxValue;
+  if (req.query.maxValue) {
+    maxValue = parseMoney(req.query.maxValue);
+    if (maxValue === null) {
+      return res.status(400).json({ message: "Neispravan format za maxValue" });
+    }
+  }
+
+  let maxAge;
+  if (req.query.maxAge) {
+    maxAge = Number(req.query.maxAge);
+    if (!Number.isInteger(maxAge) || maxAge < 0) {
+      return res.status(400).json({ message: "maxAge mora biti cijeli broj" });
+    }
+  }
+
+  try {
+    const result = await findSimilarPlayers(playerId, { weights, maxValue, maxAge, limit });
+    if (!result) {
+      return res.status(404).json({ message: "Igrač nije pronađen" });
+    }
+
+    res.json(result);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/players/:id/dossier - PDF profil igrača za ispis (podaci iz
+// /api/player/:id, kretanje vrijednosti i transferi)
+app.get("/api/players/:id/dossier", requireRole("analyst"), async (req, res) => {
+  const playerId = Number(req.params.id);
+
+  try {
+    const [[player], history] = await Promise.all([
+      Player.aggregate([{ $match: { player_id: playerId } }, ...playerDetailsStages]),
+      buildValueHistory(playerId),
+    ]);
+    if (!player) {
+      return res.status(404).json({ message: "Igrač nije pronađen" });
+    }
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="igrac-${playerId}.pdf"`);
+    writePlayerDossier(res, { player, history, summary: summarizeHistory(history) });
+  } catch (err) {
+    exportFailed(res, err);
+  }
+});
+
+const MAX_COMPARE = 4;
+
+// GET /api/players/compare?ids=1,2,3 - isti podaci kao /api/player/:id za 2 do 4
+// igrača (redom kao u ids), uz trenutnu vrijednost, broj transfera, zbroj
+// naknada i kretanje tržišne vrijednosti
+app.get("/api/players/compare", async (req, res) => {
+  const ids = String(req.query.ids || "")
+    .split(",")
+    .filter((id) => id.trim())
+    .map(Number);
+
+  if (ids.length < 2 || ids.length > MAX_COMPARE) {
+    return res.status(400).json({
+      message: `Parametar ids mora sadržavati od 2 do ${MAX_COMPARE} ID-a igrača`,
+    });
+  }
+  if (!ids.every((id) => Number.isInteger(id) && id > 0) || new Set(ids).size !== ids.length) {
+    return res.status(400).json({
+      message: "ID-evi igrača moraju biti različiti pozitivni cijeli brojevi",
+    });
+  }
+
+  try {
+    const [found, histories] = await Promise.all([
+      Player.aggregate([{ $match: { player_id: { $in: ids } } }, ...playerDetailsStages]),
+      Promise.all(ids.map(buildValueHistory)),
+    ]);
+
+    const byId = new Map(found.map((p) => [p.player_id, p]));
+    const missing = ids.filter((id) => !byId.has(id));
+    if (missing.length) {
+      return res.status(404).json({ message: `Igrači nisu pronađeni: ${missing.join(", ")}` });
+    }
+
+    const players = ids.map((id, i) => {
+      const player = byId.get(id);
+      return {
+        ...player,
+        marketValue: parseMoney(player.clubPlayer?.Player_MarketValue) ?? player.value ?? null,
+        transferCount: player.transfers.length,
+        totalFees: player.transfers.reduce((sum, t) => sum + (parseFee(t.fee).amount || 0), 0),
+        valueHistory: histories[i],
+      };
+    });
+
+    res.json({ players });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/players - novi igrač
+app.post("/api/players", requireRole("editor"), async (req, res) => {
+  try {
+    const player = new Player(req.body || {});
+    await player.validate();
+
+    if (await Player.exists({ player_id: player.player_id })) {
+      return fieldError(res, "player_id", "Igrač s tim ID-em već postoji", 409);
+    }
+
+    await player.save();
+    res.status(201).json(player);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// PUT /api/players/:id - izmjena postojećeg igrača (samo poslana polja)
+app.put("/api/players/:id", requireRole("editor"), async (req, res) => {
+  const playerId = Number(req.params.id);
+  const changes = req.body || {};
+
+  try {
+    if ("player_id" in changes && Number(changes.player_id) !== playerId) {
+      return fieldError(res, "player_id", "ID igrača se ne može mijenjati");
+    }
+
+    // save umjesto findOneAndUpdate kako bi se ponovno izračunala polja za pretraživanje
+    const player = await Player.findOne({ player_id: playerId });
+    if (!player) {
+      return res.status(404).json({ message: "Igrač nije pronađen" });
+    }
+
+    player.set(changes);
+    await player.save();
+    res.json(player);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// DELETE /api/players/:id
+app.delete("/api/players/:id", requireRole("editor"), async (req, res) => {
+  try {
+    const result = await Player.deleteOne({ player_id: Number(req.params.id) });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: "Igrač nije pronađen" });
+    }
+    res.status(204).end();
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+app.use("/api/clubs", clubRoutes);
+app.use("/api/marketvalues", marketValueRoutes);
+app.use("/api/transfers", transferRoutes);
+app.use("/api/agents", agentRoutes);
+app.use("/api/contracts", contractRoutes);
+app.use("/api/stats", statsRoutes);
+app.use("/api/watchlists", watchlistRoutes);
+app.use("/api/events", eventRoutes);
+app.use("/api/rejections", requireRole("analyst"), rejectionRoutes);
+app.use("/api/snapshots", snapshotRoutes);
+app.use("/api/users", requireRole("admin"), userRoutes);
+
 const PORT = 4000;
 app.listen(PORT, () => console.log(`Server radi na portu ${PORT}`));
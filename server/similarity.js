@@ -0,0 +1,379 @@
+const { Player, CleanPlayer, ClubPlayer } = require("./models");
+const { parseMoney, marketValueExpr } = require("./parsers");
+const { foldText } = require("./search");
+
+// Slični igrači (GET /api/players/:id/similar). Svako svojstvo daje sličnost
+// od 0 do 1, a ukupna sličnost je njihov prosjek po težinama. Svojstvo koje
+// nedostaje jednom od igrača (npr. visina) ne ulazi u prosjek.
+// Osnovni podaci su iz kolekcije Players (ETL), visina i noga iz players_data.
+
+const DEFAULT_WEIGHTS = {
+  position: 3,
+  age: 2,
+  height: 1,
+  foot: 0.5,
+  league: 1.5,
+  trajectory: 1,
+  citizenship: 0.5,
+};
+
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+const AGE_RANGE = 10; // razlika u godinama pri kojoj je sličnost 0
+const HEIGHT_RANGE = 20; // cm
+const TRAJECTORY_RANGE = 100; // postotnih bodova promjene vrijednosti
+
+const clamp = (value) => Math.max(0, Math.min(1, value));
+
+// Linija igre iz Transfermarkt pozicije ("Left-Back" -> defence)
+function positionGroup(position) {
+  const text = foldText(position);
+  if (!text) return null;
+  if (text.includes("goalkeeper")) return "goalkeeper";
+  if (text.includes("midfield")) return "midfield";
+  if (text.includes("back") || text.includes("defen")) return "defence";
+  if (/wing|striker|forward|attack/.test(text)) return "attack";
+  return text;
+}
+
+const SIMILARITY = {
+  position: (a, b) => {
+    if (!a.position || !b.position) return null;
+    if (foldText(a.position) === foldText(b.position)) return 1;
+    return positionGroup(a.position) === positionGroup(b.position) ? 0.5 : 0;
+  },
+  age: (a, b) =>
+    a.age === null || b.age === null ? null : clamp(1 - Math.abs(a.age - b.age) / AGE_RANGE),
+  height: (a, b) =>
+    a.height && b.height ? clamp(1 - Math.abs(a.height - b.height) / HEIGHT_RANGE) : null,
+  foot: (a, b) => {
+    if (!a.foot || !b.foot) return null;
+    if (a.foot === b.foot) return 1;
+    return a.foot === "both" || b.foot === "both" ? 0.5 : 0;
+  },
+  // razina lige je prosječna vrijednost igrača u ligi; 10 puta jača liga daje 0
+  league: (a, b) =>
+    a.leagueLevel && b.leagueLevel
+      ? clamp(1 - Math.abs(Math.log10(a.leagueLevel / b.leagueLevel)))
+      : null,
+  trajectory: (a, b) =>
+    a.trajectory === null || b.trajectory === null
+      ? null
+      : clamp(1 - Math.abs(a.trajectory - b.trajectory) / TRAJECTORY_RANGE),
+  citizenship: (a, b) =>
+    a.citizenship && b.citizenship
+      ? Number(foldText(a.citizenship) === foldText(b.citizenship))
+      : null,
+};
+
+// "position:3,age:1" -> težine (ostale ostaju zadane); { message } za grešku
+function parseWeights(text) {
+  const weights = { ...DEFAULT_WEIGHTS };
+  if (!text) return { weights };
+
+  for (const pair of text.split(",")) {
+    const [feature, raw] = pair.split(":").map((s) => s.trim());
+    const weight = Number(raw);
+    if (!(feature in DEFAULT_WEIGHTS)) {
+      return {
+        message: `Nepoznato svojstvo: ${feature} (dozvoljeno: ${Object.keys(DEFAULT_WEIGHTS).join(", ")})`,
+      };
+    }
+    if (raw === undefined || raw === "" || !(weight >= 0)) {
+      return { message: `Težina za ${feature} mora biti broj >= 0` };
+    }
+    weights[feature] = weight;
+  }
+  if (Object.values(weights).every((w) => w === 0)) {
+    return { message: "Barem jedna težina mora biti veća od 0" };
+  }
+  return { weights };
+}
+
+// Razina lige: prosječna vrijednost igrača u ligi u zadnjoj sezoni u
+// ClubPlayers (računa se u bazi)
+async function leagueLevels() {
+  const [latest] = await ClubPlayer.find({}, "season").sort({ season: -1 }).limit(1).lean();
+  if (!latest) return { season: null, levels: new Map() };
+
+  const value = marketValueExpr("$market_value");
+  const leagues = await ClubPlayer.aggregate([
+    { $match: { season: latest.season, league: { $nin: [null, ""] } } },
+    // nepoznata vrijednost (0) ne ulazi u prosjek
+    {
+      $group: { _id: "$league", level: { $avg: { $cond: [{ $gt: [value, 0] }, value, null] } } },
+    },
+  ]);
+  return {
+    season: latest.season,
+    levels: new Map(leagues.filter((l) => l.level).map((l) => [l._id, l.level])),
+  };
+}
+
+// Promjena vrijednosti igrača playerIds između njihove zadnje i prethodne
+// sezone u ClubPlayers, u postocima
+async function trajectories(playerIds, latestSeason) {
+  const rows = await ClubPlayer.find(
+    { player_id: { $in: playerIds }, season: { $gte: latestSeason - 2 } },
+    "player_id season market_value"
+  )
+    .sort({ season: 1 })
+    .lean();
+
+  // zadnja vrijednost u sezoni (igrač može promijeniti klub tijekom sezone)
+  const values = new Map();
+  for (const row of rows) {
+    const parsed = parseMoney(row.market_value);
+    if (!parsed) continue;
+    const seasons = values.get(row.player_id) || new Map();
+    seasons.set(row.season, parsed);
+    values.set(row.player_id, seasons);
+  }
+
+  const result = new Map();
+  for (const [playerId, seasons] of values) {
+    const [previous, last] = [...seasons.entries()].slice(-2);
+    if (last && previous && last[0] - previous[0] === 1) {
+      result.set(playerId, ((last[1] - previous[1]) / previous[1]) * 100);
+    }
+  }
+  return result;
+}
+
+function profile(player, extra, stats, now) {
+  return {
+    player_id: player.player_id,
+    name: player.name,
+    position: player.position || null,
+    age: player.birthDate ? (now - player.birthDate) / YEAR_MS : null,
+    citizenship: player.citizenship || null,
+    currentClub: player.currentClub || null,
+    clubId: player.clubId ?? null,
+    league: player.league || null,
+    leagueLevel: stats.levels.get(player.league) || null,
+    value: player.value ?? null,
+    trajectory: stats.trajectories.get(player.player_id) ?? null,
+    height: extra?.height || null,
+    foot: extra?.foot || null,
+  };
+}
+
+function similarity(target, candidate, weights) {
+  const breakdown = {};
+  let total = 0;
+  let weightSum = 0;
+  for (const [feature, weight] of Object.entries(weights)) {
+    if (!weight) continue;
+    const score = SIMILARITY[feature](target, candidate);
+    if (score === null) continue;
+    breakdown[feature] = Math.round(score * 100) / 100;
+    total += score * weight;
+    weightSum += weight;
+  }
+  return { similarity: weightSum ? Math.round((total / weightSum) * 100) : 0, breakdown };
+}
+
+function publicProfile(player) {
+  const result = {
+    ...player,
+    age: player.age === null ? null : Math.floor(player.age),
+    valueChange: player.trajectory === null ? null : Math.round(player.trajectory * 10) / 10,
+  };
+  delete result.leagueLevel;
+  delete result.trajectory;
+  return result;
+}
+
+const PLAYER_FIELDS =
+  "player_id name position birthDate citizenship currentClub clubId league value";
+
+// Uvjet na poziciju za liniju igre, isti redoslijed provjera kao positionGroup
+const POSITION_FILTERS = {
+  goalkeeper: [{ position: /goalkeeper/i }],
+  midfield: [{ position: /midfield/i }],
+  defence: [{ position: /back|defen/i }, { position: { $not: /goalkeeper|midfield/i } }],
+  attack: [
+    { position: /wing|striker|forward|attack/i },
+    { position: { $not: /goalkeeper|midfield|back|defen/i } },
+  ],
+};
+
+function addYears(date, years) {
+  const result = new Date(date);
+  result.setUTCFullYear(result.getUTCFullYear() + years);
+  return result;
+}
+
+// Upit za kandidate. Uz filtre maxValue i maxAge, kad pozicija i dob imaju
+// težinu, kandidati su igrači iste linije igre i najviše AGE_RANGE godina
+// stariji ili mlađi (ostali bi po tim svojstvima imali sličnost 0).
+function candidateFilter(target, { weights, maxValue, maxAge }, now) {
+  const filter = { player_id: { $ne: target.player_id } };
+  if (maxValue !== undefined) filter.value = { $lte: maxValue };
+
+  const born = {};
+  // dob maxAge znači rođen nakon (danas - maxAge - 1 godina)
+  if (maxAge !== undefined) born.$gt = addYears(now, -maxAge - 1);
+  if (weights.age && target.birthDate) {
+    const earliest = addYears(target.birthDate, -AGE_RANGE);
+    if (!born.$gt || earliest > born.$gt) born.$gt = earliest;
+    born.$lt = addYears(target.birthDate, AGE_RANGE);
+  }
+  if (Object.keys(born).length) filter.birthDate = born;
+
+  const group = positionGroup(target.position);
+  if (weights.position && POSITION_FILTERS[group]) filter.$and = POSITION_FILTERS[group];
+  return filter;
+}
+
+// Broj kandidata s najboljom sličnošću iz baze koji se ocjenjuju do kraja
+const CANDIDATE_LIMIT = 300;
+
+// Sličnost po svojstvima iz kolekcije Players (pozicija, dob, liga,
+// državljanstvo) kao aggregation izraz, po istim pravilima kao SIMILARITY.
+// Visina, noga i kretanje vrijednosti nisu u Players pa se dodaju tek za
+// najboljih CANDIDATE_LIMIT kandidata.
+function similarityExpr(target, weights, levels) {
+  const lower = (field) => ({ $toLower: { $trim: { input: { $ifNull: [field, ""] } } } });
+  const same = (field, value) => ({ $eq: [lower(field), String(value).trim().toLowerCase()] });
+  // svojstvo koje kandidat nema ne ulazi u prosjek
+  const ifPresent = (field, score) => ({
+    $cond: [{ $eq: [{ $ifNull: [field, ""] }, ""] }, null, score],
+  });
+  const group = positionGroup(target.position);
+  const targetLevel = levels.get(target.league);
+
+  const scores = {
+    position:
+      target.position &&
+      ifPresent("$position", {
+        // s težinom za poziciju kandidati su iz iste linije (candidateFilter)
+        $cond: [same("$position", target.position), 1, POSITION_FILTERS[group] ? 0.5 : 0],
+      }),
+    age: target.birthDate && {
+      $cond: [
+        { $eq: [{ $type: "$birthDate" }, "date"] },
+        {
+          $max: [
+            0,
+            {
+              $subtract: [
+                1,
+                {
+                  $divide: [
+                    { $abs: { $subtract: ["$birthDate", target.birthDate] } },
+                    AGE_RANGE * YEAR_MS,
+                  ],
+                },
+              ],
+            },
+          ],
+        },
+        null,
+      ],
+    },
+    league: targetLevel && {
+      $let: {
+        vars: {
+          found: {
+            $arrayElemAt: [
+              {
+                $filter: {
+                  input: { $literal: [...levels].map(([league, level]) => ({ league, level })) },
+                  cond: { $eq: ["$$this.league", "$league"] },
+                },
+              },
+              0,
+            ],
+          },
+        },
+        in: {
+          $cond: [
+            { $gt: ["$$found.level", 0] },
+            {
+              $max: [
+                0,
+                {
+                  $subtract: [1, { $abs: { $log10: { $divide: ["$$found.level", targetLevel] } } }],
+                },
+              ],
+            },
+            null,
+          ],
+        },
+      },
+    },
+    citizenship:
+      target.citizenship &&
+      ifPresent("$citizenship", {
+        $cond: [same("$citizenship", target.citizenship), 1, 0],
+      }),
+  };
+
+  const used = Object.entries(scores).filter(([feature, score]) => weights[feature] && score);
+  if (used.length === 0) return 0;
+  const sum = (term) => ({
+    $add: used.map(([feature]) => ({
+      $cond: [{ $eq: [`$$${feature}`, null] }, 0, term(feature)],
+    })),
+  });
+  return {
+    $let: {
+      vars: Object.fromEntries(used),
+      in: {
+        $let: {
+          vars: { weightSum: sum((feature) => weights[feature]) },
+          in: {
+            $cond: [
+              { $gt: ["$$weightSum", 0] },
+              {
+                $divide: [
+                  sum((feature) => ({ $multiply: [`$$${feature}`, weights[feature]] })),
+                  "$$weightSum",
+                ],
+              },
+              0,
+            ],
+          },
+        },
+      },
+    },
+  };
+}
+
+// Najsličniji igrači za playerId; null ako igrača nema u kolekciji Players.
+// maxValue i maxAge ograničavaju kandidate.
+async function findSimilarPlayers(playerId, { weights, maxValue, maxAge, limit }) {
+  const target = await CleanPlayer.findOne({ player_id: playerId }, PLAYER_FIELDS).lean();
+  if (!target) return null;
+
+  const now = new Date();
+  const { season, levels } = await leagueLevels();
+  const candidates = await CleanPlayer.aggregate([
+    { $match: candidateFilter(target, { weights, maxValue, maxAge }, now) },
+    { $addFields: { baseSimilarity: similarityExpr(target, weights, levels) } },
+    { $sort: { baseSimilarity: -1, value: -1, player_id: 1 } },
+    { $limit: CANDIDATE_LIMIT },
+    { $project: Object.fromEntries(PLAYER_FIELDS.split(" ").map((field) => [field, 1])) },
+  ]);
+
+  const ids = [playerId, ...candidates.map((c) => c.player_id)];
+  const [extras, trajectoryById] = await Promise.all([
+    Player.find({ player_id: { $in: ids } }, "player_id height foot").lean(),
+    season === null ? new Map() : trajectories(ids, season),
+  ]);
+  const extraById = new Map(extras.map((p) => [p.player_id, p]));
+  const stats = { levels, trajectories: trajectoryById };
+
+  const targetProfile = profile(target, extraById.get(playerId), stats, now);
+  const players = candidates
+    .map((c) => {
+      const candidate = profile(c, extraById.get(c.player_id), stats, now);
+      return { ...publicProfile(candidate), ...similarity(targetProfile, candidate, weights) };
+    })
+    .sort((a, b) => b.similarity - a.similarity || (b.value || 0) - (a.value || 0))
+    .slice(0, limit);
+
+  return { player: publicProfile(targetProfile), weights, players };
+}
+
+module.exports = { DEFAULT_WEIGHTS, positionGroup, parseWeights, findSimilarPlayers };
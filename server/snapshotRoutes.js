@@ -0,0 +1,103 @@
+const express = require("express");
+const { ImportRun } = require("./models");
+const { DATASETS } = require("./importDatasets");
+const { resolveSnapshot, diffSnapshots } = require("./snapshots");
+const {
+  MAX_PAGE_SIZE,
+  parsePagination,
+  paginationStage,
+  pageResponse,
+} = require("./queryHelpers");
+
+// Snapshoti uvoza (import.js): popis izvođenja i razlika dva snapshota
+const router = express.Router();
+
+// Snapshot iz parametra from/to: redni broj uvoza ili datum (kao asOf)
+const snapshotParam = (value) =>
+  resolveSnapshot(/^\d+$/.test(value) ? { snapshot: value } : { asOf: value });
+
+// GET /api/snapshots?dataset=&status=&page=&pageSize= - izvođenja uvoza, zadnje prvo
+router.get("/", async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query);
+    if (!pagination) {
+      return res.status(400).json({
+        message: `page mora biti >= 1, a pageSize između 1 i ${MAX_PAGE_SIZE}`,
+      });
+    }
+
+    const filter = {};
+    if (req.query.dataset) {
+      if (!DATASETS[req.query.dataset]) {
+        return res.status(400).json({
+          message: `Nepoznat skup: ${req.query.dataset} (dozvoljeno: ${Object.keys(DATASETS).join(", ")})`,
+        });
+      }
+      filter.dataset = req.query.dataset;
+    }
+    if (req.query.status) filter.status = req.query.status;
+
+    const [result] = await ImportRun.aggregate([
+      { $match: filter },
+      { $sort: { run: -1 } },
+      paginationStage("snapshots", pagination, [{ $project: { _id: 0 } }]),
+    ]);
+
+    res.json(pageResponse("snapshots", result, pagination));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/snapshots/diff?from=&to=&player=|club= - razlika dva snapshota za
+// igrača ili klub. from i to su redni brojevi uvoza ili datumi; bez to se
+// uspoređuje sa zadnjim uvozom.
+router.get("/diff", async (req, res) => {
+  const { from, to, player, club } = req.query;
+
+  if (!from) {
+    return res.status(400).json({ message: "from je obavezan (redni broj uvoza ili datum)" });
+  }
+  if ((player === undefined) === (club === undefined)) {
+    return res.status(400).json({ message: "Zadaj točno jedan od parametara player i club" });
+  }
+  const id = Number(player ?? club);
+  if (!Number.isInteger(id) || id < 1) {
+    return res.status(400).json({ message: `${player ? "player" : "club"} mora biti ID` });
+  }
+
+  try {
+    const before = await snapshotParam(from);
+    if (before.message) return res.status(before.status).json({ message: before.message });
+
+    let after;
+    if (to) {
+      after = await snapshotParam(to);
+      if (after.message) return res.status(after.status).json({ message: after.message });
+    } else {
+      after = { snapshot: await ImportRun.findOne({ status: "done" }).sort({ run: -1 }).lean() };
+    }
+
+    const filter = player ? { player_id: id } : { club_id: id };
+    res.json(await diffSnapshots(before.snapshot, after.snapshot, filter));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/snapshots/:run - jedno izvođenje uvoza
+router.get("/:run", async (req, res) => {
+  try {
+    const run = Number(req.params.run);
+    const snapshot = Number.isInteger(run) ? await ImportRun.findOne({ run }, "-_id").lean() : null;
+    if (!snapshot) {
+      return res.status(404).json({ message: "Snapshot nije pronađen" });
+    }
+
+    res.json(snapshot);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
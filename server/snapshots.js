@@ -0,0 +1,249 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { ImportRun, SnapshotRecord } = require("./models");
+const { DATASETS } = require("./importDatasets");
+const { parseMoney, parseDate, parseSeason } = require("./parsers");
+
+// Snapshoti uvoza. Svako izvođenje import.js dobije redni broj (run) i sprema
+// svoje zapise u SnapshotRecords. Stanje skupa nakon izvođenja N je zadnja
+// verzija svakog ključa iz izvođenja tog skupa do N, počevši od zadnjeg
+// izvođenja s --replace (ono je obrisalo sve prije sebe). Snapshot N je
+// stanje svih skupova nakon izvođenja N.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function fileChecksum(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(file)
+      .on("error", reject)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+}
+
+async function startRun(dataset, file, { replace }) {
+  const checksum = await fileChecksum(file);
+  const last = await ImportRun.findOne({}, "run").sort({ run: -1 }).lean();
+  return ImportRun.create({
+    run: (last?.run || 0) + 1,
+    dataset,
+    file: path.basename(file),
+    checksum,
+    replace,
+  });
+}
+
+// Zapis za SnapshotRecords iz dokumenta koji se upisuje u sirovu kolekciju
+function snapshotRecord(run, datasetName, doc) {
+  const dataset = DATASETS[datasetName];
+  const record = {
+    run: run.run,
+    dataset: datasetName,
+    key: JSON.stringify(dataset.key.map((field) => doc[field] ?? "")),
+    doc,
+  };
+  for (const [ref, field] of Object.entries(dataset.refs)) record[ref] = doc[field];
+  return record;
+}
+
+// Izvođenja skupa koja čine njegovo stanje nakon izvođenja run, najnovije prvo
+async function datasetRuns(dataset, run) {
+  const runs = await ImportRun.find({ dataset, status: "done", run: { $lte: run } }, "run replace")
+    .sort({ run: -1 })
+    .lean();
+
+  const result = [];
+  for (const r of runs) {
+    result.push(r.run);
+    if (r.replace) break;
+  }
+  return result;
+}
+
+// Zapisi skupa nakon izvođenja run kao Map(key -> dokument).
+// filter je { player_id } ili { club_id }.
+async function snapshotRecords(run, dataset, filter) {
+  const runs = await datasetRuns(dataset, run);
+  if (runs.length === 0) return new Map();
+
+  const rows = await SnapshotRecord.aggregate([
+    { $match: { dataset, run: { $in: runs }, ...filter } },
+    { $sort: { run: -1 } },
+    { $group: { _id: "$key", doc: { $first: "$doc" } } },
+  ]);
+  return new Map(rows.map((r) => [r._id, r.doc]));
+}
+
+async function snapshotDocs(run, dataset, filter) {
+  return [...(await snapshotRecords(run, dataset, filter)).values()];
+}
+
+const runInfo = ({ run, dataset, file, checksum, startedAt, finishedAt }) => ({
+  run,
+  dataset,
+  file,
+  checksum,
+  startedAt,
+  finishedAt,
+});
+
+// Snapshot iz ?snapshot=<run> ili ?asOf=<datum> (zadnje izvođenje završeno do
+// kraja tog dana). Vraća { snapshot } (null ako nije zadan nijedan parametar)
+// ili { status, message }.
+async function resolveSnapshot({ snapshot, asOf }) {
+  if (snapshot !== undefined && asOf !== undefined) {
+    return { status: 400, message: "Zadaj snapshot ili asOf, ne oba" };
+  }
+
+  if (snapshot !== undefined) {
+    const run = Number(snapshot);
+    if (!Number.isInteger(run) || run < 1) {
+      return { status: 400, message: "snapshot mora biti redni broj uvoza" };
+    }
+    const found = await ImportRun.findOne({ run, status: "done" }).lean();
+    return found ? { snapshot: found } : { status: 404, message: `Snapshot ${run} ne postoji` };
+  }
+
+  if (asOf !== undefined) {
+    const date = parseDate(asOf);
+    if (!date) return { status: 400, message: "Neispravan datum za asOf" };
+    const found = await ImportRun.findOne({
+      status: "done",
+      finishedAt: { $lt: new Date(date.getTime() + DAY_MS) },
+    })
+      .sort({ run: -1 })
+      .lean();
+    return found
+      ? { snapshot: found }
+      : { status: 404, message: `Nema uvoza završenog do ${asOf}` };
+  }
+
+  return { snapshot: null };
+}
+
+// Redak iz club_players zadnje sezone
+const latestSeasonRow = (rows) =>
+  rows.reduce(
+    (latest, row) =>
+      !latest || parseSeason(row.Season) > parseSeason(latest.Season) ? row : latest,
+    null
+  );
+
+// Igrač u snapshotu, u obliku kao GET /api/player/:id; null ako ga nema
+async function playerAsOf(snapshot, playerId) {
+  const [[player], clubRows, transfers] = await Promise.all([
+    snapshotDocs(snapshot.run, "players", { player_id: playerId }),
+    snapshotDocs(snapshot.run, "clubPlayers", { player_id: playerId }),
+    snapshotDocs(snapshot.run, "transfers", { player_id: playerId }),
+  ]);
+  if (!player) return null;
+
+  const clubPlayer = latestSeasonRow(clubRows);
+  const clubs = clubPlayer
+    ? await snapshotDocs(snapshot.run, "clubs", { club_id: clubPlayer.ClubID })
+    : [];
+  const club = latestSeasonRow(clubs);
+
+  return {
+    player_id: player.player_id,
+    given_name: player.given_name,
+    date_of_birth: player.date_of_birth,
+    citizenship: player.citizenship,
+    current_club: player.current_club,
+    agent: player.agent,
+    value: parseMoney(clubPlayer?.Player_MarketValue ?? player.market_value),
+    contract_expires: player.contract_expires,
+    clubPlayer: clubPlayer || undefined,
+    transfers,
+    club_name: club?.Club,
+    snapshot: runInfo(snapshot),
+  };
+}
+
+// Klub u snapshotu, u obliku kao GET /api/clubs/:id; null ako ga nema
+async function clubAsOf(snapshot, clubId) {
+  const [rows, squadRows] = await Promise.all([
+    snapshotDocs(snapshot.run, "clubs", { club_id: clubId }),
+    snapshotDocs(snapshot.run, "clubPlayers", { club_id: clubId }),
+  ]);
+  if (rows.length === 0) return null;
+
+  const seasons = rows
+    .map((c) => ({
+      club_id: c.ClubID,
+      season: parseSeason(c.Season),
+      name: c.Club || "",
+      league: c.League || "",
+      country: c.Country || "",
+      balance: c.Club_OverallBalance || "",
+    }))
+    .sort((a, b) => b.season - a.season);
+  const squadSeasons = [...new Set(squadRows.map((r) => parseSeason(r.Season)))];
+
+  return {
+    ...seasons[0],
+    seasons: seasons.map(({ season, league, balance }) => ({ season, league, balance })),
+    squadSeasons: squadSeasons.sort((a, b) => b - a),
+    snapshot: runInfo(snapshot),
+  };
+}
+
+function diffDocs(before, after) {
+  const changes = {};
+  for (const field of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (field === "_id") continue;
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes[field] = { from: before[field] ?? null, to: after[field] ?? null };
+    }
+  }
+  return changes;
+}
+
+// Razlika dva snapshota za igrača ({ player_id }) ili klub ({ club_id }):
+// po skupu podataka dodani, uklonjeni i promijenjeni zapisi (polje: from/to)
+async function diffSnapshots(from, to, filter) {
+  const [ref] = Object.keys(filter);
+  const datasets = {};
+  let total = 0;
+
+  for (const [name, dataset] of Object.entries(DATASETS)) {
+    if (!dataset.refs[ref]) continue;
+
+    const [before, after] = await Promise.all([
+      snapshotRecords(from.run, name, filter),
+      snapshotRecords(to.run, name, filter),
+    ]);
+    const keyOf = (key) => Object.fromEntries(dataset.key.map((f, i) => [f, JSON.parse(key)[i]]));
+    const diff = { added: [], removed: [], changed: [] };
+
+    for (const [key, doc] of after) {
+      if (!before.has(key)) diff.added.push(doc);
+    }
+    for (const [key, doc] of before) {
+      if (!after.has(key)) {
+        diff.removed.push(doc);
+        continue;
+      }
+      const changes = diffDocs(doc, after.get(key));
+      if (Object.keys(changes).length) diff.changed.push({ key: keyOf(key), changes });
+    }
+
+    total += diff.added.length + diff.removed.length + diff.changed.length;
+    datasets[name] = diff;
+  }
+
+  return { from: runInfo(from), to: runInfo(to), ...filter, total, datasets };
+}
+
+module.exports = {
+  startRun,
+  snapshotRecord,
+  snapshotDocs,
+  runInfo,
+  resolveSnapshot,
+  playerAsOf,
+  clubAsOf,
+  diffSnapshots,
+};
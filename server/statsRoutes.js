@@ -0,0 +1,262 @@
+const express = require("express");
+const { ClubPlayer } = require("./models");
+const { parseSeason, seasonStartDate, marketValueExpr } = require("./parsers");
+const { escapeRegex } = require("./queryHelpers");
+
+const router = express.Router();
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+// Zajednički parametri rang-lista: season (bez nje zadnja sezona u ClubPlayers),
+// league i limit. Vraća { error } ako parametar ne valja.
+async function rankingQuery(query) {
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit mora biti između 1 i ${MAX_LIMIT}` };
+  }
+
+  let season;
+  if (query.season === undefined) {
+    const latest = await ClubPlayer.findOne().sort({ season: -1 }).lean();
+    season = latest ? latest.season : null;
+  } else {
+    season = parseSeason(query.season);
+    if (season === null) return { error: "Sezona mora biti godina, npr. 2023" };
+  }
+
+  const match = { season };
+  if (query.league) match.league = { $regex: `^${escapeRegex(query.league)}$`, $options: "i" };
+
+  return { season, league: query.league || "", limit, match };
+}
+
+// Zapisi momčadi sezone s vrijednošću u eurima i podacima igrača iz Players
+const squadStages = (match) => [
+  { $match: match },
+  { $addFields: { marketValue: marketValueExpr("$market_value") } },
+  {
+    $lookup: {
+      from: "Players",
+      localField: "player_id",
+      foreignField: "player_id",
+      as: "playerData",
+    },
+  },
+  { $addFields: { player: { $arrayElemAt: ["$playerData", 0] } } },
+];
+
+// Ime kluba iz zadnje sezone u Clubs
+const clubNameStages = [
+  {
+    $lookup: {
+      from: "Clubs",
+      let: { clubId: "$club_id" },
+      pipeline: [
+        { $match: { $expr: { $eq: ["$club_id", "$$clubId"] } } },
+        { $sort: { season: -1 } },
+        { $limit: 1 },
+      ],
+      as: "clubData",
+    },
+  },
+  { $addFields: { club: { $ifNull: [{ $arrayElemAt: ["$clubData.name", 0] }, ""] } } },
+  { $project: { clubData: 0 } },
+];
+
+const withRank = (rows) => rows.map((row, i) => ({ rank: i + 1, ...row }));
+
+// Handler rang-liste: run(params, query) vraća redove koji se šalju pod ključem key,
+// validate(query) poruku za dodatne parametre koji ne valjaju
+function rankingRoute(key, run, validate = () => null) {
+  return async (req, res) => {
+    try {
+      const params = await rankingQuery(req.query);
+      const message = params.error || validate(req.query);
+      if (message) {
+        return res.status(400).json({ message });
+      }
+
+      const { season, league } = params;
+      // prazna baza, nema ni jedne sezone
+      if (season === null) {
+        return res.json({ season, league, [key]: [] });
+      }
+
+      res.json({ season, league, [key]: await run(params, req.query) });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  };
+}
+
+// GET /api/stats/seasons - sezone iz ClubPlayers (najnovija prva) s ligama
+router.get("/seasons", async (req, res) => {
+  try {
+    const seasons = await ClubPlayer.aggregate([
+      { $match: { league: { $nin: ["", null] } } },
+      { $group: { _id: "$season", leagues: { $addToSet: "$league" } } },
+      { $sort: { _id: -1 } },
+      { $project: { _id: 0, season: "$_id", leagues: 1 } },
+    ]);
+
+    res.json(seasons.map((s) => ({ ...s, leagues: s.leagues.sort() })));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/stats/squads?season=&league=&limit= - najvrjednije momčadi
+router.get(
+  "/squads",
+  rankingRoute("squads", async ({ match, limit }) => {
+    const rows = await ClubPlayer.aggregate([
+      { $match: match },
+      { $addFields: { marketValue: marketValueExpr("$market_value") } },
+      {
+        $group: {
+          _id: "$club_id",
+          league: { $first: "$league" },
+          players: { $sum: 1 },
+          totalValue: { $sum: "$marketValue" },
+        },
+      },
+      { $sort: { totalValue: -1, _id: 1 } },
+      { $limit: limit },
+      {
+        $project: {
+          _id: 0,
+          club_id: "$_id",
+          league: 1,
+          players: 1,
+          totalValue: 1,
+          averageValue: { $divide: ["$totalValue", "$players"] },
+        },
+      },
+      ...clubNameStages,
+    ]);
+    return withRank(rows);
+  })
+);
+
+// GET /api/stats/players?season=&league=&position=&limit= - najvrjedniji
+// igrači po poziciji (limit igrača za svaku poziciju)
+router.get(
+  "/players",
+  rankingRoute("positions", async ({ match, limit }, query) => {
+    const position = query.position
+      ? { $regex: `^${escapeRegex(query.position)}$`, $options: "i" }
+      : { $nin: ["", null] };
+
+    const rows = await ClubPlayer.aggregate([
+      ...squadStages({ ...match, position }),
+      { $match: { marketValue: { $gt: 0 } } },
+      { $sort: { marketValue: -1, player_id: 1 } },
+      {
+        $group: {
+          _id: "$position",
+          totalValue: { $sum: "$marketValue" },
+          players: {
+            $push: {
+              player_id: "$player_id",
+              name: { $ifNull: ["$player.name", "$player_name"] },
+              club_id: "$club_id",
+              league: "$league",
+              citizenship: "$player.citizenship",
+              marketValue: "$marketValue",
+            },
+          },
+        },
+      },
+      { $sort: { totalValue: -1 } },
+      {
+        $project: {
+          _id: 0,
+          position: "$_id",
+          players: { $slice: ["$players", limit] },
+        },
+      },
+    ]);
+    return rows.map((p) => ({ ...p, players: withRank(p.players) }));
+  })
+);
+
+// GET /api/stats/nationalities?season=&league=&limit= - ukupna vrijednost
+// igrača po državljanstvu
+router.get(
+  "/nationalities",
+  rankingRoute("nationalities", async ({ match, limit }) => {
+    const rows = await ClubPlayer.aggregate([
+      ...squadStages(match),
+      { $match: { "player.citizenship": { $nin: ["", null] } } },
+      {
+        $group: {
+          _id: "$player.citizenship",
+          players: { $sum: 1 },
+          totalValue: { $sum: "$marketValue" },
+        },
+      },
+      { $sort: { totalValue: -1, _id: 1 } },
+      { $limit: limit },
+      {
+        $project: {
+          _id: 0,
+          citizenship: "$_id",
+          players: 1,
+          totalValue: 1,
+          averageValue: { $divide: ["$totalValue", "$players"] },
+        },
+      },
+    ]);
+    return withRank(rows);
+  })
+);
+
+// GET /api/stats/ages?season=&league=&sort=&limit= - prosječna dob momčadi
+// na početku sezone (1. srpnja); sort=age (najmlađe prve) ili -age
+router.get(
+  "/ages",
+  rankingRoute(
+    "clubs",
+    async ({ match, limit, season }, query) => {
+      const sort = query.sort || "age";
+      const rows = await ClubPlayer.aggregate([
+        ...squadStages(match),
+        { $match: { "player.birthDate": { $type: "date" } } },
+        {
+          $addFields: {
+            age: {
+              $divide: [{ $subtract: [seasonStartDate(season), "$player.birthDate"] }, YEAR_MS],
+            },
+          },
+        },
+        {
+          $group: {
+            _id: "$club_id",
+            league: { $first: "$league" },
+            players: { $sum: 1 },
+            averageAge: { $avg: "$age" },
+          },
+        },
+        { $sort: { averageAge: sort === "age" ? 1 : -1, _id: 1 } },
+        { $limit: limit },
+        {
+          $project: {
+            _id: 0,
+            club_id: "$_id",
+            league: 1,
+            players: 1,
+            averageAge: { $round: ["$averageAge", 1] },
+          },
+        },
+        ...clubNameStages,
+      ]);
+      return withRank(rows);
+    },
+    ({ sort }) =>
+      sort && sort !== "age" && sort !== "-age" ? `Nepoznato sortiranje: ${sort}` : null
+  )
+);
+
+module.exports = router;
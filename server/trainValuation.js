@@ -0,0 +1,44 @@
+// Treniranje modela procjene tržišne vrijednosti (valuation.js) na podacima
+// iz baze. Pokreće se nakon ETL-a; API koristi zadnji spremljeni model.
+//
+//   node trainValuation.js            trenira i sprema model u ValuationModels
+//   node trainValuation.js --dry-run  samo ispisuje model, bez spremanja
+
+const mongoose = require("mongoose");
+const { MONGO_URL } = require("./db");
+const { ValuationModel } = require("./models");
+const { FACTORS, trainModel } = require("./valuation");
+
+async function main() {
+  const dryRun = process.argv.includes("--dry-run");
+
+  await mongoose.connect(MONGO_URL);
+  try {
+    const model = await trainModel();
+
+    console.log(`Igrača: ${model.samples}, R²: ${model.r2.toFixed(3)}`);
+    console.log(`Greška (σ u log prostoru): ${model.residualStd.toFixed(3)}`);
+    console.table(
+      model.features.map((f) => ({
+        čimbenik: FACTORS.find((factor) => factor.features.includes(f.name)).label,
+        svojstvo: f.name,
+        prosjek: Number(f.mean.toFixed(3)),
+        koeficijent: Number(f.coefficient.toFixed(4)),
+      }))
+    );
+
+    if (dryRun) {
+      console.log("--dry-run: model nije spremljen");
+      return;
+    }
+    await ValuationModel.create(model);
+    console.log("✅ Model spremljen");
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch((err) => {
+  console.error("❌ Greška:", err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,346 @@
+const express = require("express");
+const { Player, Transfer, Club } = require("./models");
+const {
+  FEE_TYPES,
+  parseMoney,
+  parseSeason,
+  seasonLabels,
+  marketValueExpr,
+  feeTypeExpr,
+  feeAmountExpr,
+} = require("./parsers");
+const {
+  MAX_PAGE_SIZE,
+  parsePagination,
+  paginationStage,
+  pageResponse,
+  escapeRegex,
+} = require("./queryHelpers");
+const { sendError, fieldError } = require("./validation");
+const { requireRole } = require("./auth");
+const { transfers: transferStage } = require("./etlStages");
+const { writeRaw } = require("./rawRecords");
+
+const router = express.Router();
+
+// sort=date | -date | fee | -fee
+const SORT_FIELDS = { date: "dateParsed", fee: "feeAmount" };
+
+const playerLookup = [
+  {
+    $lookup: {
+      from: "players_data",
+      localField: "player_id",
+      foreignField: "player_id",
+      as: "playerData",
+    },
+  },
+  { $addFields: { player: { $arrayElemAt: ["$playerData", 0] } } },
+];
+
+const transferProjection = {
+  $project: {
+    player_id: 1,
+    player_name: "$player.given_name",
+    citizenship: "$player.citizenship",
+    season: 1,
+    date: 1,
+    from: 1,
+    to: 1,
+    market_value: 1,
+    marketValue: 1,
+    fee: 1,
+    feeType: 1,
+    feeAmount: 1,
+  },
+};
+
+function containsText(text) {
+  return { $regex: escapeRegex(text), $options: "i" };
+}
+
+function seasonFilter(season) {
+  const year = parseSeason(season);
+  return year === null ? season : { $in: seasonLabels(year) };
+}
+
+const feeStages = [
+  { $addFields: { feeType: feeTypeExpr("$fee") } },
+  {
+    $addFields: {
+      feeAmount: feeAmountExpr("$fee", "$feeType"),
+      marketValue: marketValueExpr("$market_value"),
+      dateParsed: {
+        $convert: { input: "$date", to: "date", onError: null, onNull: null },
+      },
+    },
+  },
+];
+
+// GET /api/transfers/seasons - sezone za koje postoje transferi, najnovija prva.
+// Ista sezona može biti zapisana kao "2023", "23/24" ili "2023/24" pa se vraća
+// jednom, kao "2023/24".
+router.get("/seasons", async (req, res) => {
+  try {
+    const labels = await Transfer.distinct("season", { season: { $nin: ["", null] } });
+    const years = new Set(labels.map((label) => parseSeason(label)).filter((y) => y !== null));
+    res.json([...years].sort((a, b) => b - a).map((year) => seasonLabels(year)[2]));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/transfers/summary?season= - pregled prijelaznog roka:
+// najskuplji transferi, potrošnja i zarada po klubu te neto potrošnja po ligi
+router.get("/summary", async (req, res) => {
+  const { season } = req.query;
+  if (!season) {
+    return res.status(400).json({ message: "Parametar season je obavezan" });
+  }
+
+  try {
+    const [result] = await Transfer.aggregate([
+      { $match: { season: seasonFilter(season) } },
+      ...feeStages,
+      {
+        $facet: {
+          biggestFees: [
+            { $match: { feeAmount: { $gt: 0 } } },
+            { $sort: { feeAmount: -1 } },
+            { $limit: 10 },
+            ...playerLookup,
+            transferProjection,
+          ],
+          arrivals: [
+            {
+              $group: {
+                _id: "$to",
+                spend: { $sum: "$feeAmount" },
+                arrivals: { $sum: 1 },
+              },
+            },
+          ],
+          departures: [
+            {
+              $group: {
+                _id: "$from",
+                income: { $sum: "$feeAmount" },
+                departures: { $sum: 1 },
+              },
+            },
+          ],
+          totals: [
+            {
+              $group: {
+                _id: null,
+                transfers: { $sum: 1 },
+                fees: { $sum: "$feeAmount" },
+              },
+            },
+          ],
+        },
+      },
+    ]);
+
+    const clubs = new Map();
+    const clubEntry = (name) => {
+      if (!clubs.has(name)) {
+        clubs.set(name, {
+          club: name,
+          league: "",
+          spend: 0,
+          income: 0,
+          arrivals: 0,
+          departures: 0,
+        });
+      }
+      return clubs.get(name);
+    };
+    for (const a of result.arrivals) {
+      if (!a._id) continue;
+      Object.assign(clubEntry(a._id), { spend: a.spend, arrivals: a.arrivals });
+    }
+    for (const d of result.departures) {
+      if (!d._id) continue;
+      Object.assign(clubEntry(d._id), { income: d.income, departures: d.departures });
+    }
+
+    // transferi imaju samo ime kluba pa se liga traži u kolekciji Clubs
+    const clubRows = await Club.find({ name: { $in: [...clubs.keys()] } })
+      .sort({ season: -1 })
+      .select("name league")
+      .lean();
+    for (const row of clubRows) {
+      const entry = clubs.get(row.name);
+      if (entry && !entry.league) entry.league = row.league;
+    }
+
+    const leagues = new Map();
+    for (const entry of clubs.values()) {
+      entry.netSpend = entry.spend - entry.income;
+      if (!entry.league) continue;
+      const league = leagues.get(entry.league) || {
+        league: entry.league,
+        spend: 0,
+        income: 0,
+      };
+      league.spend += entry.spend;
+      league.income += entry.income;
+      leagues.set(entry.league, league);
+    }
+    for (const league of leagues.values()) league.netSpend = league.spend - league.income;
+
+    res.json({
+      season,
+      totalTransfers: result.totals[0]?.transfers || 0,
+      totalFees: result.totals[0]?.fees || 0,
+      biggestFees: result.biggestFees,
+      clubs: [...clubs.values()].sort((a, b) => b.spend - a.spend),
+      leagues: [...leagues.values()].sort((a, b) => b.netSpend - a.netSpend),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/transfers?season=&from=&to=&club=&nationality=&player=
+//   &feeType=&minFee=&maxFee=&sort=&page=&pageSize=
+router.get("/", async (req, res) => {
+  try {
+    const { season, from, to, club, nationality, player, feeType, sort } = req.query;
+
+    const pagination = parsePagination(req.query);
+    if (!pagination) {
+      return res.status(400).json({
+        message: `page mora biti >= 1, a pageSize između 1 i ${MAX_PAGE_SIZE}`,
+      });
+    }
+
+    const feeRange = {};
+    for (const [key, operator, raw] of [
+      ["minFee", "$gte", req.query.minFee],
+      ["maxFee", "$lte", req.query.maxFee],
+    ]) {
+      if (!raw) continue;
+      const parsed = parseMoney(raw);
+      if (parsed === null) {
+        return res.status(400).json({ message: `Neispravan format za ${key}` });
+      }
+      feeRange[operator] = parsed;
+    }
+
+    const feeTypes = feeType ? feeType.split(",").map((t) => t.trim()) : [];
+    const unknownType = feeTypes.find((t) => !FEE_TYPES.includes(t));
+    if (unknownType) {
+      return res.status(400).json({
+        message: `Nepoznata vrsta transfera: ${unknownType} (dozvoljeno: ${FEE_TYPES.join(", ")})`,
+      });
+    }
+
+    const playerId = player ? Number(player) : undefined;
+    if (playerId !== undefined && !Number.isInteger(playerId)) {
+      return res.status(400).json({ message: "player mora biti id igrača (cijeli broj)" });
+    }
+
+    let sortStage = { dateParsed: -1 };
+    if (sort) {
+      const descending = sort.startsWith("-");
+      const field = SORT_FIELDS[descending ? sort.slice(1) : sort];
+      if (!field) {
+        return res.status(400).json({ message: `Nepoznato sortiranje: ${sort}` });
+      }
+      sortStage = { [field]: descending ? -1 : 1 };
+    }
+
+    const filter = {};
+    if (season) filter.season = seasonFilter(season);
+    if (from) filter.from = containsText(from);
+    if (to) filter.to = containsText(to);
+    if (club) filter.$or = [{ from: containsText(club) }, { to: containsText(club) }];
+    if (playerId !== undefined) filter.player_id = playerId;
+
+    const typeMatch = {};
+    if (feeTypes.length) typeMatch.feeType = { $in: feeTypes };
+    if (Object.keys(feeRange).length) typeMatch.feeAmount = feeRange;
+
+    const [result] = await Transfer.aggregate([
+      { $match: filter },
+      ...feeStages,
+      ...(Object.keys(typeMatch).length ? [{ $match: typeMatch }] : []),
+      // filter po državljanstvu traži podatke o igraču prije paginacije
+      ...(nationality
+        ? [...playerLookup, { $match: { "player.citizenship": containsText(nationality) } }]
+        : []),
+      { $sort: { ...sortStage, season: -1, _id: 1 } },
+      paginationStage("transfers", pagination, [
+        ...(nationality ? [] : playerLookup),
+        transferProjection,
+      ]),
+    ]);
+
+    res.json(pageResponse("transfers", result, pagination));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/transfers - novi transfer. Upisi idu i u players_transfers
+// (rawRecords.js) pa ih ETL ne pregazi.
+router.post("/", requireRole("editor"), async (req, res) => {
+  try {
+    const transfer = new Transfer(req.body || {});
+    await transfer.validate();
+
+    if (!(await Player.exists({ player_id: transfer.player_id }))) {
+      return fieldError(res, "player_id", "Igrač ne postoji");
+    }
+
+    await transfer.save();
+    await writeRaw(transferStage, null, transfer);
+    res.status(201).json(transfer);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// PUT /api/transfers/:id - izmjena transfera (id je _id iz GET /api/transfers)
+router.put("/:id", requireRole("editor"), async (req, res) => {
+  const changes = req.body || {};
+
+  try {
+    if ("player_id" in changes && !(await Player.exists({ player_id: changes.player_id }))) {
+      return fieldError(res, "player_id", "Igrač ne postoji");
+    }
+
+    const previous = await Transfer.findById(req.params.id);
+    if (!previous) {
+      return res.status(404).json({ message: "Transfer nije pronađen" });
+    }
+
+    const transfer = await Transfer.findByIdAndUpdate(
+      req.params.id,
+      { $set: changes },
+      { new: true, runValidators: true }
+    );
+    await writeRaw(transferStage, previous, transfer);
+    res.json(transfer);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// DELETE /api/transfers/:id
+router.delete("/:id", requireRole("editor"), async (req, res) => {
+  try {
+    const transfer = await Transfer.findByIdAndDelete(req.params.id);
+    if (!transfer) {
+      return res.status(404).json({ message: "Transfer nije pronađen" });
+    }
+    await writeRaw(transferStage, transfer, null);
+    res.status(204).end();
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
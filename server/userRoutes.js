@@ -0,0 +1,89 @@
+const express = require("express");
+const { User, Session } = require("./models");
+const { hashPassword, passwordProblem } = require("./auth");
+const { sendError, fieldError } = require("./validation");
+
+// Upravljanje korisnicima, samo za admina (server.js)
+const router = express.Router();
+
+// GET /api/users - svi korisnici bez lozinki
+router.get("/", async (req, res) => {
+  try {
+    const users = await User.find().sort({ username: 1 });
+    res.json(users);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/users { username, password, role }
+router.post("/", async (req, res) => {
+  const { username, password, role, ...rest } = req.body || {};
+
+  try {
+    if (Object.keys(rest).length) {
+      return fieldError(res, Object.keys(rest)[0], "Mogu se zadati samo username, password i role");
+    }
+    const problem = passwordProblem(password);
+    if (problem) return fieldError(res, "password", problem);
+
+    const user = new User({ username, role, passwordHash: await hashPassword(password) });
+    await user.save();
+    res.status(201).json(user);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// PUT /api/users/:id { role, password } - promjena uloge ili lozinke.
+// Nova lozinka odjavljuje korisnika sa svih uređaja.
+router.put("/:id", async (req, res) => {
+  const { password, role, ...rest } = req.body || {};
+
+  try {
+    if (Object.keys(rest).length) {
+      return fieldError(res, Object.keys(rest)[0], "Mogu se mijenjati samo role i password");
+    }
+    if (password !== undefined && passwordProblem(password)) {
+      return fieldError(res, "password", passwordProblem(password));
+    }
+    if (role !== undefined && role !== "admin" && String(req.user.id) === req.params.id) {
+      return fieldError(res, "role", "Ne možeš sebi oduzeti ulogu admin");
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: "Korisnik nije pronađen" });
+    }
+
+    if (role !== undefined) user.role = role;
+    if (password !== undefined) user.passwordHash = await hashPassword(password);
+    await user.save();
+    if (password !== undefined) await Session.deleteMany({ user: user._id });
+
+    res.json(user);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// DELETE /api/users/:id - briše korisnika i njegove sesije
+router.delete("/:id", async (req, res) => {
+  try {
+    if (String(req.user.id) === req.params.id) {
+      return res.status(400).json({ message: "Ne možeš obrisati vlastiti račun" });
+    }
+
+    const user = await User.findByIdAndDelete(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: "Korisnik nije pronađen" });
+    }
+
+    await Session.deleteMany({ user: user._id });
+    res.json({ message: "Korisnik obrisan" });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
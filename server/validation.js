@@ -0,0 +1,92 @@
+const mongoose = require("mongoose");
+const { isEmptyMarker, parseMoney, parseFee, parseDate, parseSeason } = require("./parsers");
+
+// Validatori za polja koja se u kolekcijama čuvaju kao tekst
+
+const isoDate = {
+  validator: (v) =>
+    v === "" ||
+    v === null ||
+    (/^\d{4}-\d{2}-\d{2}$/.test(v) && parseDate(v) !== null),
+  message: "Datum mora biti u obliku GGGG-MM-DD",
+};
+
+const marketValueText = {
+  validator: (v) => isEmptyMarker(v) || parseMoney(v) !== null,
+  message: 'Vrijednost mora biti u obliku "€12.50m", "€800k" ili "-"',
+};
+
+const feeText = {
+  validator: (v) => isEmptyMarker(v) || parseFee(v).type !== "unknown",
+  message:
+    'Naknada mora biti iznos ("€12.50m"), "free transfer", "loan transfer", "Loan fee:€2m", "End of loan", "-" ili "?"',
+};
+
+const seasonText = {
+  validator: (v) => typeof v === "string" && parseSeason(v) !== null,
+  message: 'Sezona mora biti u obliku "2023", "23/24" ili "2023/24"',
+};
+
+// Setter za Date polja: tekst se čita preko parseDate (prihvaća "2023-07-01",
+// "01.07.2023", "Jul 1, 2023"...). Neprepoznat tekst ostaje kakav jest pa ga
+// Mongoose odbija kao neispravan tip.
+function toDate(value) {
+  if (typeof value !== "string") return value;
+  if (isEmptyMarker(value)) return null;
+  return parseDate(value) || value;
+}
+
+const integer = {
+  validator: Number.isInteger,
+  message: "Vrijednost mora biti cijeli broj",
+};
+
+// Šalje grešku kao JSON: 400 s porukom po polju za neispravne podatke,
+// 409 za duplikat, 500 za sve ostalo.
+function sendError(res, err) {
+  if (err instanceof mongoose.Error.ValidationError) {
+    const errors = {};
+    for (const [field, fieldError] of Object.entries(err.errors)) {
+      errors[field] =
+        fieldError instanceof mongoose.Error.CastError
+          ? `Neispravan tip podatka (očekivano: ${fieldError.kind})`
+          : fieldError.message;
+    }
+    return res.status(400).json({ message: "Neispravni podaci", errors });
+  }
+  if (err instanceof mongoose.Error.CastError) {
+    return res.status(400).json({
+      message: "Neispravni podaci",
+      errors: { [err.path]: `Neispravan tip podatka (očekivano: ${err.kind})` },
+    });
+  }
+  if (err instanceof mongoose.Error.StrictModeError) {
+    return res.status(400).json({
+      message: "Neispravni podaci",
+      errors: { [err.path]: "Nepoznato polje" },
+    });
+  }
+  if (err.code === 11000) {
+    const field = Object.keys(err.keyPattern || {})[0] || "id";
+    return res.status(409).json({
+      message: "Zapis već postoji",
+      errors: { [field]: "Vrijednost mora biti jedinstvena" },
+    });
+  }
+  return res.status(500).json({ error: err.message });
+}
+
+function fieldError(res, field, message, status = 400) {
+  return res.status(status).json({ message: "Neispravni podaci", errors: { [field]: message } });
+}
+
+module.exports = {
+  isoDate,
+  marketValueText,
+  feeText,
+  seasonText,
+  integer,
+  toDate,
+  sendError,
+  fieldError,
+};
@@ -0,0 +1,306 @@
+const { CleanPlayer, ClubPlayer, Transfer, ValuationModel } = require("./models");
+const { parseMoney, parseFee } = require("./parsers");
+const { positionGroup } = require("./similarity");
+
+// Procjena tržišne vrijednosti. Model je linearna regresija (ridge) logaritma
+// vrijednosti na standardizirana svojstva igrača, trenira se lokalno iz
+// kolekcija Players, ClubPlayers i Transfers (trainValuation.js). Zbog
+// logaritma svaki čimbenik množi vrijednost: doprinos je postotak za koji
+// svojstvo igrača mijenja procjenu u odnosu na prosječnog igrača.
+
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+const MAX_CONTRACT_YEARS = 5;
+const POSITION_GROUPS = ["goalkeeper", "defence", "midfield", "attack"];
+// regularizacija (udio po igraču), drži koeficiente stabilnima kad je malo podataka
+const RIDGE = 0.01;
+const MIN_SAMPLES = 30;
+const CONFIDENCE = 0.9;
+const Z_SCORE = 1.645; // 90% raspon normalne razdiobe
+
+// Čimbenici procjene i svojstva modela od kojih se sastoje
+const FACTORS = [
+  { name: "age", label: "Dob", features: ["age", "ageSquared"] },
+  { name: "position", label: "Pozicija", features: POSITION_GROUPS.map((g) => `position_${g}`) },
+  { name: "league", label: "Razina lige", features: ["leagueLevel"] },
+  { name: "club", label: "Razina kluba", features: ["clubLevel"] },
+  { name: "contract", label: "Trajanje ugovora", features: ["contractYears"] },
+  { name: "history", label: "Vrijednost prošle sezone", features: ["previousValue", "noHistory"] },
+  { name: "transfers", label: "Najveća naknada za transfer", features: ["maxFee"] },
+];
+
+const addRow = (map, key, value) => {
+  const total = map.get(key) || { total: 0, count: 0 };
+  total.total += value;
+  total.count++;
+  map.set(key, total);
+};
+
+// Podaci iz ClubPlayers i Transfers potrebni za svojstva igrača. Razina lige i
+// kluba je prosječna vrijednost igrača u zadnjoj sezoni. playerIds ograničava
+// povijest vrijednosti i transfere na te igrače (bez njega svi igrači).
+async function loadContext(playerIds) {
+  const byPlayer = playerIds ? { player_id: { $in: playerIds } } : {};
+  const [latest] = await ClubPlayer.find({}, "season").sort({ season: -1 }).limit(1).lean();
+  const [latestRows, historyRows, transfers] = await Promise.all([
+    latest
+      ? ClubPlayer.find({ season: latest.season }, "player_id league club_id market_value").lean()
+      : [],
+    ClubPlayer.find(byPlayer, "player_id season market_value").sort({ season: 1 }).lean(),
+    Transfer.find(byPlayer, "player_id fee").lean(),
+  ]);
+
+  const leagues = new Map();
+  const clubs = new Map();
+  const ownRows = new Map(); // redovi igrača u zadnjoj sezoni, da se ne broji sam sebi
+  for (const row of latestRows) {
+    const value = parseMoney(row.market_value);
+    if (!value) continue;
+    if (row.league) addRow(leagues, row.league, value);
+    addRow(clubs, row.club_id, value);
+    ownRows.set(row.player_id, [...(ownRows.get(row.player_id) || []), { ...row, value }]);
+  }
+
+  // vrijednost po sezoni (zadnja u sezoni ako je igrač mijenjao klub)
+  const seasonValues = new Map();
+  for (const row of historyRows) {
+    const value = parseMoney(row.market_value);
+    if (!value) continue;
+    const seasons = seasonValues.get(row.player_id) || new Map();
+    seasons.set(row.season, value);
+    seasonValues.set(row.player_id, seasons);
+  }
+
+  const maxFees = new Map();
+  for (const t of transfers) {
+    const { amount } = parseFee(t.fee);
+    if (amount > (maxFees.get(t.player_id) || 0)) maxFees.set(t.player_id, amount);
+  }
+
+  return { leagues, clubs, ownRows, seasonValues, maxFees };
+}
+
+// Prosjek skupine bez vrijednosti samog igrača; null ako nema drugih igrača
+function levelWithout(groups, key, own) {
+  const group = groups.get(key);
+  if (!group) return null;
+  const total = group.total - own.reduce((sum, value) => sum + value, 0);
+  const count = group.count - own.length;
+  return count > 0 && total > 0 ? total / count : null;
+}
+
+// Svojstva igrača za model (null = nepoznato) i čitljive ulazne vrijednosti
+function playerFeatures(player, context, now) {
+  const own = context.ownRows.get(player.player_id) || [];
+  const age = player.birthDate ? (now - player.birthDate) / YEAR_MS : null;
+  const group = positionGroup(player.position);
+  const leagueLevel = player.league
+    ? levelWithout(
+        context.leagues,
+        player.league,
+        own.filter((r) => r.league === player.league).map((r) => r.value)
+      )
+    : null;
+  const clubLevel =
+    player.clubId !== null && player.clubId !== undefined
+      ? levelWithout(
+          context.clubs,
+          player.clubId,
+          own.filter((r) => r.club_id === player.clubId).map((r) => r.value)
+        )
+      : null;
+  const contractYears = player.contractExpires
+    ? Math.max(0, Math.min(MAX_CONTRACT_YEARS, (player.contractExpires - now) / YEAR_MS))
+    : null;
+
+  // vrijednost iz sezone prije zadnje sezone igrača (zadnja je njegova trenutna)
+  const seasons = [...(context.seasonValues.get(player.player_id) || new Map()).values()];
+  const previousValue = seasons.length > 1 ? seasons[seasons.length - 2] : null;
+  const maxFee = context.maxFees.get(player.player_id) || 0;
+
+  const features = {
+    age,
+    ageSquared: age === null ? null : age * age,
+    leagueLevel: leagueLevel && Math.log(leagueLevel),
+    clubLevel: clubLevel && Math.log(clubLevel),
+    contractYears,
+    previousValue: previousValue && Math.log(previousValue),
+    noHistory: previousValue ? 0 : 1,
+    maxFee: Math.log1p(maxFee),
+  };
+  for (const g of POSITION_GROUPS) {
+    features[`position_${g}`] =
+      group && POSITION_GROUPS.includes(group) ? Number(group === g) : null;
+  }
+
+  const inputs = {
+    age: age === null ? null : Math.floor(age),
+    position: player.position || null,
+    league: player.league || null,
+    club: player.currentClub || null,
+    contract: player.contractExpires || null,
+    history: previousValue,
+    transfers: maxFee || null,
+  };
+  return { features, inputs };
+}
+
+// Gaussova eliminacija s djelomičnim pivotiranjem, rješava A x = b
+function solve(A, b) {
+  const n = b.length;
+  const m = A.map((row, i) => [...row, b[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
+    }
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+    for (let r = col + 1; r < n; r++) {
+      const factor = m[r][col] / m[col][col];
+      for (let c = col; c <= n; c++) m[r][c] -= factor * m[col][c];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r--) {
+    let sum = m[r][n];
+    for (let c = r + 1; c < n; c++) sum -= m[r][c] * x[c];
+    x[r] = sum / m[r][r];
+  }
+  return x;
+}
+
+const standardize = (value, { mean, std }) => (value === null ? 0 : (value - mean) / std);
+
+// Trenira model na igračima iz kolekcije Players s poznatom vrijednošću.
+// Vraća dokument za ValuationModel (ne sprema ga).
+async function trainModel() {
+  const players = await CleanPlayer.find({ value: { $gt: 0 } }).lean();
+  if (players.length < MIN_SAMPLES) {
+    throw new Error(
+      `Premalo igrača s vrijednošću za treniranje (${players.length}, potrebno ${MIN_SAMPLES}); pokreni npm run etl`
+    );
+  }
+
+  const now = new Date();
+  const context = await loadContext();
+  const rows = players.map((p) => playerFeatures(p, context, now).features);
+  const names = FACTORS.flatMap((f) => f.features);
+
+  const features = names.map((name) => {
+    const known = rows.map((r) => r[name]).filter((v) => v !== null);
+    const mean = known.length ? known.reduce((a, b) => a + b, 0) / known.length : 0;
+    const variance = known.length
+      ? known.reduce((sum, v) => sum + (v - mean) ** 2, 0) / known.length
+      : 0;
+    return { name, mean, std: Math.sqrt(variance) || 1 };
+  });
+
+  const X = rows.map((r) => features.map((f) => standardize(r[f.name], f)));
+  const y = players.map((p) => Math.log(p.value));
+  const intercept = y.reduce((a, b) => a + b, 0) / y.length;
+
+  // (X'X + λnI) b = X'(y - ȳ); standardizirani stupci imaju srednju vrijednost 0
+  const p = features.length;
+  const XtX = Array.from({ length: p }, (_, i) =>
+    Array.from(
+      { length: p },
+      (_, j) => X.reduce((sum, row) => sum + row[i] * row[j], 0) + (i === j ? RIDGE * X.length : 0)
+    )
+  );
+  const Xty = features.map((_, i) =>
+    X.reduce((sum, row, k) => sum + row[i] * (y[k] - intercept), 0)
+  );
+  const coefficients = solve(XtX, Xty);
+
+  let residualSum = 0;
+  let totalSum = 0;
+  X.forEach((row, k) => {
+    const predicted = intercept + row.reduce((sum, x, i) => sum + x * coefficients[i], 0);
+    residualSum += (y[k] - predicted) ** 2;
+    totalSum += (y[k] - intercept) ** 2;
+  });
+
+  return {
+    features: features.map((f, i) => ({ ...f, coefficient: coefficients[i] })),
+    intercept,
+    residualStd: Math.sqrt(residualSum / Math.max(1, X.length - p - 1)),
+    r2: totalSum ? 1 - residualSum / totalSum : 0,
+    samples: X.length,
+    trainedAt: now,
+  };
+}
+
+const roundValue = (value) => Math.round(value / 1000) * 1000;
+const effectPercent = (logEffect) => Math.round((Math.exp(logEffect) - 1) * 1000) / 10;
+
+// Procjena za igrača s modelom; listed je vrijednost iz kolekcije Players
+function estimate(model, player, context, now) {
+  const { features, inputs } = playerFeatures(player, context, now);
+
+  const contributions = new Map();
+  for (const f of model.features) {
+    contributions.set(f.name, standardize(features[f.name] ?? null, f) * f.coefficient);
+  }
+  const logEstimate = model.intercept + [...contributions.values()].reduce((a, b) => a + b, 0);
+  const margin = Z_SCORE * model.residualStd;
+
+  const factors = FACTORS.map((factor) => ({
+    factor: factor.name,
+    label: factor.label,
+    value: inputs[factor.name],
+    effect: effectPercent(factor.features.reduce((sum, f) => sum + (contributions.get(f) || 0), 0)),
+  })).sort((a, b) => Math.abs(b.effect) - Math.abs(a.effect));
+
+  const estimatedValue = roundValue(Math.exp(logEstimate));
+  const range = {
+    low: roundValue(Math.exp(logEstimate - margin)),
+    high: roundValue(Math.exp(logEstimate + margin)),
+    confidence: CONFIDENCE,
+  };
+  const listed = player.value || null;
+  let assessment = null;
+  if (listed) {
+    if (listed < range.low) assessment = "undervalued";
+    else if (listed > range.high) assessment = "overvalued";
+    else assessment = "fair";
+  }
+
+  return {
+    player_id: player.player_id,
+    name: player.name,
+    listedValue: listed,
+    estimatedValue,
+    range,
+    difference: listed
+      ? {
+          value: listed - estimatedValue,
+          percent: Math.round((listed / estimatedValue - 1) * 1000) / 10,
+        }
+      : null,
+    assessment,
+    baseline: roundValue(Math.exp(model.intercept)),
+    factors,
+    model: {
+      trainedAt: model.trainedAt,
+      samples: model.samples,
+      r2: Math.round(model.r2 * 100) / 100,
+    },
+  };
+}
+
+const latestModel = () => ValuationModel.findOne().sort({ trainedAt: -1 }).lean();
+
+// Procjena vrijednosti igrača; { status, message } ako igrača ili modela nema
+async function valuePlayer(playerId) {
+  const [model, player] = await Promise.all([
+    latestModel(),
+    CleanPlayer.findOne({ player_id: playerId }).lean(),
+  ]);
+  if (!player) return { status: 404, message: "Igrač nije pronađen" };
+  if (!model) {
+    return { status: 503, message: "Model procjene nije istreniran (npm run train-valuation)" };
+  }
+
+  return { valuation: estimate(model, player, await loadContext([playerId]), new Date()) };
+}
+
+module.exports = { FACTORS, trainModel, valuePlayer };
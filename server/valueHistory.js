@@ -0,0 +1,118 @@
+const { RawClubPlayer, RawTransfer, MarketValue } = require("./models");
+const { parseMoney, parseDate, parseSeason, seasonStartDate, seasonOfDate } = require("./parsers");
+const { snapshotDocs } = require("./snapshots");
+const { idValues } = require("./queryHelpers");
+
+function transferDate(transfer) {
+  const date = parseDate(transfer.date);
+  if (date) return date;
+  const year = parseSeason(transfer.season);
+  return year === null ? null : seasonStartDate(year);
+}
+
+// Vremenska crta tržišne vrijednosti igrača iz svih sezona u club_players,
+// iz "mv" polja svakog transfera i iz ručno unesenih vrijednosti (MarketValues).
+// Nepoznate vrijednosti ("-", "?") se preskaču. Uz snapshot (ImportRun) se
+// sezone i transferi čitaju iz tog uvoza, a ručne vrijednosti unesene do njega.
+async function buildValueHistory(playerId, snapshot = null) {
+  const [clubRows, transfers, manual] = await Promise.all(
+    snapshot
+      ? [
+          snapshotDocs(snapshot.run, "clubPlayers", { player_id: playerId }),
+          snapshotDocs(snapshot.run, "transfers", { player_id: playerId }),
+          MarketValue.find({
+            player_id: playerId,
+            createdAt: { $lte: snapshot.finishedAt },
+          }).lean(),
+        ]
+      : [
+          RawClubPlayer.find({ PlayerID: idValues(playerId) }).lean(),
+          RawTransfer.find({ player_id: idValues(playerId) }).lean(),
+          MarketValue.find({ player_id: playerId }).lean(),
+        ]
+  );
+
+  const points = [];
+
+  for (const row of clubRows) {
+    const year = parseSeason(row.Season);
+    const value = parseMoney(row.Player_MarketValue);
+    if (year === null || !value) continue;
+    points.push({
+      date: seasonStartDate(year),
+      season: year,
+      value,
+      source: "club_players",
+      club_id: Number(row.ClubID) || null,
+      league: row.League || "",
+    });
+  }
+
+  for (const t of transfers) {
+    const date = transferDate(t);
+    const value = parseMoney(t.mv);
+    if (!date || !value) continue;
+    points.push({
+      date,
+      season: parseSeason(t.season) ?? date.getUTCFullYear(),
+      value,
+      source: "transfer",
+      club: t.joined || "",
+    });
+  }
+
+  for (const mv of manual) {
+    points.push({
+      date: mv.date,
+      season: seasonOfDate(mv.date),
+      value: mv.value,
+      source: "manual",
+      id: mv._id,
+    });
+  }
+
+  points.sort((a, b) => a.date - b.date);
+
+  // isti datum i ista vrijednost iz oba izvora prikazuju se jednom
+  return points.filter(
+    (p, i) =>
+      i === 0 ||
+      p.date.getTime() !== points[i - 1].date.getTime() ||
+      p.value !== points[i - 1].value
+  );
+}
+
+// Vrh karijere, zadnja vrijednost i promjena u odnosu na prethodnu sezonu
+function summarizeHistory(history) {
+  if (history.length === 0) {
+    return { peak: null, current: null, changeSinceLastSeason: null };
+  }
+
+  const peak = history.reduce((best, p) => (p.value > best.value ? p : best));
+  const current = history[history.length - 1];
+
+  // zadnja poznata vrijednost u svakoj sezoni
+  const bySeason = new Map();
+  for (const p of history) bySeason.set(p.season, p.value);
+  const seasons = [...bySeason.keys()].sort((a, b) => a - b);
+
+  let changeSinceLastSeason = null;
+  if (seasons.length >= 2) {
+    const latest = bySeason.get(seasons[seasons.length - 1]);
+    const previous = bySeason.get(seasons[seasons.length - 2]);
+    changeSinceLastSeason = {
+      from: seasons[seasons.length - 2],
+      to: seasons[seasons.length - 1],
+      value: latest - previous,
+      percent: previous ? ((latest - previous) / previous) * 100 : null,
+    };
+  }
+
+  return {
+    peak: { value: peak.value, date: peak.date, season: peak.season },
+    current: { value: current.value, date: current.date, season: current.season },
+    changeSinceLastSeason,
+  };
+}
+
+module.exports = { buildValueHistory, summarizeHistory };
@@ -0,0 +1,293 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const { Player, CleanPlayer, User, Watchlist } = require("./models");
+const { buildValueHistory, summarizeHistory } = require("./valueHistory");
+const { sendError, fieldError } = require("./validation");
+
+// Popisi igrača za skauting. Svaki prijavljeni korisnik ima svoje popise;
+// vlasnik ih dijeli s kolegama (sharedWith) koji onda mogu dodavati igrače,
+// bilješke, prioritet i status, ali ne i preimenovati ili obrisati popis.
+const router = express.Router();
+
+const LIST_FIELDS = ["name", "description", "sharedWith"];
+const ENTRY_FIELDS = ["note", "priority", "status"];
+const EXPIRING_MONTHS = 12;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isOwner = (list, user) => String(list.owner._id || list.owner) === String(user.id);
+
+const canSee = (list, user) =>
+  isOwner(list, user) || list.sharedWith.some((u) => String(u._id || u) === String(user.id));
+
+// Prvo polje koje se ne smije slati, inače undefined
+const unknownField = (body, allowed) => Object.keys(body).find((key) => !allowed.includes(key));
+
+// Popis po :id koji korisnik smije vidjeti; inače šalje 404 i vraća null
+async function findList(req, res) {
+  const list = mongoose.isValidObjectId(req.params.id)
+    ? await Watchlist.findById(req.params.id).populate("owner sharedWith", "username")
+    : null;
+  if (!list || !canSee(list, req.user)) {
+    res.status(404).json({ message: "Popis nije pronađen" });
+    return null;
+  }
+  return list;
+}
+
+// Korisnička imena -> _id korisnika; vlasnik se ne dijeli sam sa sobom
+async function resolveSharedWith(res, names, ownerId) {
+  if (!Array.isArray(names) || names.some((n) => typeof n !== "string")) {
+    fieldError(res, "sharedWith", "Mora biti popis korisničkih imena");
+    return null;
+  }
+
+  const usernames = [...new Set(names.map((n) => n.trim().toLowerCase()).filter(Boolean))];
+  const users = await User.find({ username: { $in: usernames } }, "username");
+  const missing = usernames.filter((n) => !users.some((u) => u.username === n));
+  if (missing.length) {
+    fieldError(res, "sharedWith", `Nepoznati korisnici: ${missing.join(", ")}`);
+    return null;
+  }
+
+  return users.filter((u) => String(u._id) !== String(ownerId)).map((u) => u._id);
+}
+
+function listSummary(list, user) {
+  return {
+    _id: list._id,
+    name: list.name,
+    description: list.description,
+    owner: list.owner.username,
+    sharedWith: list.sharedWith.map((u) => u.username),
+    isOwner: isOwner(list, user),
+    playerIds: list.entries.map((e) => e.player_id),
+    createdAt: list.createdAt,
+    updatedAt: list.updatedAt,
+  };
+}
+
+// Stavke popisa s podacima igrača iz kolekcije Players, promjenom vrijednosti
+// od dodavanja i u zadnjoj sezoni te danima do isteka ugovora
+async function listEntries(list) {
+  const ids = list.entries.map((e) => e.player_id);
+  const [players, histories, addedBy] = await Promise.all([
+    CleanPlayer.find({ player_id: { $in: ids } }).lean(),
+    Promise.all(ids.map((id) => buildValueHistory(id).then(summarizeHistory))),
+    User.find({ _id: { $in: list.entries.map((e) => e.addedBy) } }, "username").lean(),
+  ]);
+
+  const now = Date.now();
+  return list.entries.map((entry, i) => {
+    const player = players.find((p) => p.player_id === entry.player_id) || {};
+    const value = player.value ?? null;
+    return {
+      player_id: entry.player_id,
+      note: entry.note,
+      priority: entry.priority,
+      status: entry.status,
+      addedAt: entry.addedAt,
+      addedBy: addedBy.find((u) => String(u._id) === String(entry.addedBy))?.username || null,
+      name: player.name || null,
+      currentClub: player.currentClub || null,
+      clubId: player.clubId ?? null,
+      league: player.league || null,
+      position: player.position || null,
+      value,
+      valueAtAdd: entry.valueAtAdd ?? null,
+      valueChange: value !== null && entry.valueAtAdd != null ? value - entry.valueAtAdd : null,
+      changeSinceLastSeason: histories[i].changeSinceLastSeason,
+      contractExpires: player.contractExpires || null,
+      daysLeft: player.contractExpires
+        ? Math.ceil((player.contractExpires.getTime() - now) / DAY_MS)
+        : null,
+    };
+  });
+}
+
+// GET /api/watchlists - vlastiti i podijeljeni popisi, zadnje mijenjani prvi
+router.get("/", async (req, res) => {
+  try {
+    const lists = await Watchlist.find({
+      $or: [{ owner: req.user.id }, { sharedWith: req.user.id }],
+    })
+      .sort({ updatedAt: -1 })
+      .populate("owner sharedWith", "username");
+
+    res.json(lists.map((list) => listSummary(list, req.user)));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/watchlists/:id - popis sa stavkama i zbrojem vrijednosti
+router.get("/:id", async (req, res) => {
+  try {
+    const list = await findList(req, res);
+    if (!list) return;
+
+    const entries = await listEntries(list);
+    const expiringSoon = entries.filter(
+      (e) => e.daysLeft !== null && e.daysLeft >= 0 && e.daysLeft <= EXPIRING_MONTHS * 30
+    ).length;
+
+    res.json({
+      ...listSummary(list, req.user),
+      entries,
+      summary: {
+        players: entries.length,
+        totalValue: entries.reduce((sum, e) => sum + (e.value || 0), 0),
+        valueChange: entries.reduce((sum, e) => sum + (e.valueChange || 0), 0),
+        expiringSoon,
+      },
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/watchlists { name, description, sharedWith: [korisničko ime] }
+router.post("/", async (req, res) => {
+  const body = req.body || {};
+
+  try {
+    const field = unknownField(body, LIST_FIELDS);
+    if (field) return fieldError(res, field, "Nepoznato polje");
+
+    const list = new Watchlist({ ...body, sharedWith: [], owner: req.user.id });
+    if (body.sharedWith !== undefined) {
+      const sharedWith = await resolveSharedWith(res, body.sharedWith, req.user.id);
+      if (!sharedWith) return;
+      list.sharedWith = sharedWith;
+    }
+
+    await list.save();
+    await list.populate("owner sharedWith", "username");
+    res.status(201).json(listSummary(list, req.user));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// PUT /api/watchlists/:id { name, description, sharedWith } - samo vlasnik
+router.put("/:id", async (req, res) => {
+  const body = req.body || {};
+
+  try {
+    const field = unknownField(body, LIST_FIELDS);
+    if (field) return fieldError(res, field, "Nepoznato polje");
+
+    const list = await findList(req, res);
+    if (!list) return;
+    if (!isOwner(list, req.user)) {
+      return res.status(403).json({ message: "Samo vlasnik može mijenjati popis" });
+    }
+
+    if (body.name !== undefined) list.name = body.name;
+    if (body.description !== undefined) list.description = body.description;
+    if (body.sharedWith !== undefined) {
+      const sharedWith = await resolveSharedWith(res, body.sharedWith, req.user.id);
+      if (!sharedWith) return;
+      list.sharedWith = sharedWith;
+    }
+
+    await list.save();
+    await list.populate("owner sharedWith", "username");
+    res.json(listSummary(list, req.user));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// DELETE /api/watchlists/:id - samo vlasnik
+router.delete("/:id", async (req, res) => {
+  try {
+    const list = await findList(req, res);
+    if (!list) return;
+    if (!isOwner(list, req.user)) {
+      return res.status(403).json({ message: "Samo vlasnik može obrisati popis" });
+    }
+
+    await list.deleteOne();
+    res.json({ message: "Popis obrisan" });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /api/watchlists/:id/players { player_id, note, priority, status }
+router.post("/:id/players", async (req, res) => {
+  const { player_id: rawId, ...changes } = req.body || {};
+  const playerId = Number(rawId);
+
+  try {
+    const field = unknownField(changes, ENTRY_FIELDS);
+    if (field) return fieldError(res, field, "Nepoznato polje");
+    if (!Number.isInteger(playerId) || !(await Player.exists({ player_id: playerId }))) {
+      return fieldError(res, "player_id", "Igrač ne postoji");
+    }
+
+    const list = await findList(req, res);
+    if (!list) return;
+    if (list.entries.some((e) => e.player_id === playerId)) {
+      return fieldError(res, "player_id", "Igrač je već na popisu", 409);
+    }
+
+    const player = await CleanPlayer.findOne({ player_id: playerId }, "value").lean();
+    list.entries.push({
+      ...changes,
+      player_id: playerId,
+      valueAtAdd: player?.value,
+      addedBy: req.user.id,
+    });
+    await list.save();
+
+    res.status(201).json(list.entries[list.entries.length - 1]);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// PUT /api/watchlists/:id/players/:playerId { note, priority, status }
+router.put("/:id/players/:playerId", async (req, res) => {
+  const changes = req.body || {};
+
+  try {
+    const field = unknownField(changes, ENTRY_FIELDS);
+    if (field) return fieldError(res, field, "Nepoznato polje");
+
+    const list = await findList(req, res);
+    if (!list) return;
+
+    const entry = list.entries.find((e) => e.player_id === Number(req.params.playerId));
+    if (!entry) {
+      return res.status(404).json({ message: "Igrač nije na popisu" });
+    }
+
+    entry.set(changes);
+    await list.save();
+    res.json(entry);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// DELETE /api/watchlists/:id/players/:playerId
+router.delete("/:id/players/:playerId", async (req, res) => {
+  try {
+    const list = await findList(req, res);
+    if (!list) return;
+
+    const index = list.entries.findIndex((e) => e.player_id === Number(req.params.playerId));
+    if (index === -1) {
+      return res.status(404).json({ message: "Igrač nije na popisu" });
+    }
+
+    list.entries.splice(index, 1);
+    await list.save();
+    res.json({ message: "Igrač uklonjen s popisa" });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
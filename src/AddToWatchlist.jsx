@@ -0,0 +1,34 @@
+import React from "react";
+import { apiSend, errorText } from "./api";
+
+// Padajući izbornik "Dodaj na popis" za jednog igrača. lists je sažetak iz
+// GET /api/watchlists; popisi na kojima igrač već jest su onemogućeni.
+export function AddToWatchlist({ playerId, lists, onAdded }) {
+  if (!lists || lists.length === 0) return null;
+
+  const onList = (list) => list.playerIds.includes(Number(playerId));
+
+  const add = (listId) => {
+    if (!listId) return;
+    apiSend(`/api/watchlists/${listId}/players`, "POST", { player_id: playerId })
+      .then(({ ok, data }) => (ok ? onAdded() : alert(errorText(data))))
+      .catch(console.error);
+  };
+
+  return (
+    <select
+      className="add-to-watchlist"
+      value=""
+      onClick={(e) => e.stopPropagation()}
+      onChange={(e) => add(e.target.value)}
+    >
+      <option value="">Dodaj na popis...</option>
+      {lists.map((l) => (
+        <option key={l._id} value={l._id} disabled={onList(l)}>
+          {l.name}
+          {onList(l) ? " ✓" : ""}
+        </option>
+      ))}
+    </select>
+  );
+}
@@ -0,0 +1,227 @@
+import React, { useEffect, useState } from "react";
+import "./AgentDirectory.css";
+import { apiFetch } from "./api";
+import { calculateAge, formatEuro, formatFee } from "./format";
+
+const PAGE_SIZE = 25;
+
+function AgentProfile({ agent, onSelectPlayer, onSelectClub }) {
+  const [profile, setProfile] = useState(null);
+
+  useEffect(() => {
+    apiFetch(`/api/agents/${encodeURIComponent(agent)}`)
+      .then((res) => res.json())
+      .then(setProfile)
+      .catch(console.error);
+  }, [agent]);
+
+  if (!profile) return <p>Učitavanje...</p>;
+  if (!profile.clients) return <p>{profile.message || "Agent nije pronađen"}</p>;
+
+  return (
+    <div className="agent-profile">
+      <h3>{profile.agent}</h3>
+      <p>
+        Klijenata: <span>{profile.clientCount}</span>, ukupna vrijednost:{" "}
+        <span>{formatEuro(profile.totalValue)}</span>, prosječna vrijednost:{" "}
+        <span>{formatEuro(profile.averageValue)}</span>
+      </p>
+
+      <h4>Klijenti</h4>
+      <table className="agent-table">
+        <thead>
+          <tr>
+            <th>Igrač</th>
+            <th>Dob</th>
+            <th>Pozicija</th>
+            <th>Klub</th>
+            <th>Ugovor do</th>
+            <th>Vrijednost</th>
+          </tr>
+        </thead>
+        <tbody>
+          {profile.clients.map((c) => (
+            <tr key={c.player_id} onClick={() => onSelectPlayer(c.player_id)}>
+              <td>{c.given_name}</td>
+              <td>{calculateAge(c.date_of_birth)}</td>
+              <td>{c.position || "N/A"}</td>
+              <td>
+                {c.club_id ? (
+                  <button
+                    className="club-link"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onSelectClub(Number(c.club_id));
+                    }}
+                  >
+                    {c.club || "Nepoznato"}
+                  </button>
+                ) : (
+                  c.club || "Nepoznato"
+                )}
+              </td>
+              <td>{c.contract_expires || "N/A"}</td>
+              <td>{formatEuro(c.marketValue)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <h4>Transferi klijenata</h4>
+      {profile.transfers.length === 0 ? (
+        <p>Nema transfera.</p>
+      ) : (
+        <>
+          <p>
+            Broj transfera: <span>{profile.transfers.length}</span>, ukupne naknade:{" "}
+            <span>{formatEuro(profile.totalFees)}</span>
+          </p>
+          <table className="agent-table">
+            <thead>
+              <tr>
+                <th>Igrač</th>
+                <th>Sezona</th>
+                <th>Iz</th>
+                <th>U</th>
+                <th>Datum</th>
+                <th>Naknada</th>
+              </tr>
+            </thead>
+            <tbody>
+              {profile.transfers.map((t, idx) => (
+                <tr key={`${t.player_id}-${idx}`} onClick={() => onSelectPlayer(t.player_id)}>
+                  <td>{t.player_name}</td>
+                  <td>{t.season}</td>
+                  <td>{t.from || "N/A"}</td>
+                  <td>{t.to || "N/A"}</td>
+                  <td>{t.date ? new Date(t.date).toLocaleDateString("hr-HR") : "N/A"}</td>
+                  <td>{formatFee(t)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+}
+
+export function AgentDirectory({ agent, onSelectAgent, onSelectPlayer, onSelectClub }) {
+  const [agents, setAgents] = useState([]);
+  const [name, setName] = useState("");
+  const [sort, setSort] = useState("-value");
+  const [paging, setPaging] = useState({ page: 1, total: 0, hasMore: false });
+
+  const fetchAgents = (sortBy, page = 1) => {
+    const params = new URLSearchParams({ sort: sortBy, page, pageSize: PAGE_SIZE });
+    if (name) params.append("name", name);
+
+    apiFetch(`/api/agents?${params.toString()}`)
+      .then((res) => res.json())
+      .then((data) => {
+        setAgents(data.agents || []);
+        setPaging({ page: data.page, total: data.total, hasMore: data.hasMore });
+      })
+      .catch(console.error);
+  };
+
+  // popis se učitava jednom, dalje na "Pretraži", sortiranje i stranice
+  useEffect(() => {
+    apiFetch(`/api/agents?sort=-value&pageSize=${PAGE_SIZE}`)
+      .then((res) => res.json())
+      .then((data) => {
+        setAgents(data.agents || []);
+        setPaging({ page: data.page, total: data.total, hasMore: data.hasMore });
+      })
+      .catch(console.error);
+  }, []);
+
+  const handleSort = (field) => {
+    const next = sort === `-${field}` ? field : `-${field}`;
+    setSort(next);
+    fetchAgents(next);
+  };
+
+  const sortIndicator = (field) => {
+    if (sort === `-${field}`) return " ▼";
+    if (sort === field) return " ▲";
+    return "";
+  };
+
+  const totalPages = Math.max(1, Math.ceil(paging.total / PAGE_SIZE));
+
+  return (
+    <div className="agent-directory-container">
+      <h2>Agenti</h2>
+
+      <div className="agent-search">
+        <input
+          placeholder="Agencija"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && fetchAgents(sort)}
+        />
+        <button onClick={() => fetchAgents(sort)}>Pretraži</button>
+      </div>
+
+      <table className="agent-table">
+        <thead>
+          <tr>
+            <th className="sortable" onClick={() => handleSort("name")}>
+              Agencija{sortIndicator("name")}
+            </th>
+            <th className="sortable" onClick={() => handleSort("clients")}>
+              Klijenti{sortIndicator("clients")}
+            </th>
+            <th>Klubovi</th>
+            <th className="sortable" onClick={() => handleSort("value")}>
+              Ukupna vrijednost{sortIndicator("value")}
+            </th>
+            <th>Prosječna vrijednost</th>
+          </tr>
+        </thead>
+        <tbody>
+          {agents.map((a) => (
+            <tr
+              key={a.agent}
+              className={a.agent === agent ? "selected" : undefined}
+              onClick={() => onSelectAgent(a.agent)}
+            >
+              <td>{a.agent}</td>
+              <td>{a.clientCount}</td>
+              <td>{a.clubCount}</td>
+              <td>{formatEuro(a.totalValue)}</td>
+              <td>{formatEuro(a.averageValue)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {paging.total > PAGE_SIZE && (
+        <div className="pagination">
+          <button
+            onClick={() => fetchAgents(sort, paging.page - 1)}
+            disabled={paging.page <= 1}
+          >
+            Prethodna
+          </button>
+          <span>
+            Stranica {paging.page} od {totalPages} ({paging.total} agenata)
+          </span>
+          <button onClick={() => fetchAgents(sort, paging.page + 1)} disabled={!paging.hasMore}>
+            Sljedeća
+          </button>
+        </div>
+      )}
+
+      {agent && (
+        <AgentProfile
+          key={agent}
+          agent={agent}
+          onSelectPlayer={onSelectPlayer}
+          onSelectClub={onSelectClub}
+        />
+      )}
+    </div>
+  );
+}
@@ -1,15 +1,167 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { PlayersList } from './PlayerList';
 import { PlayerDetails } from './PlayerDetails';
+import { ClubDetails } from './ClubDetails';
+import { TransferWindow } from './TransferWindow';
+import { PlayerComparison } from './PlayerComparison';
+import { AgentDirectory } from './AgentDirectory';
+import { ContractTracker } from './ContractTracker';
+import { Rankings } from './Rankings';
+import { Watchlists } from './Watchlists';
+import { Notifications } from './Notifications';
+import { Login } from './Login';
+import { apiFetch, hasRole, setUnauthorizedHandler } from './api';
+
+const VIEWS = [
+  { id: 'players', label: 'Igrači' },
+  { id: 'compare', label: 'Usporedba' },
+  { id: 'transfers', label: 'Prijelazni rok' },
+  { id: 'contracts', label: 'Ugovori' },
+  { id: 'rankings', label: 'Rang-liste' },
+  { id: 'watchlists', label: 'Popisi' },
+  { id: 'agents', label: 'Agenti' },
+];
+
+const MAX_COMPARE = 4;
 
 function App() {
+  // undefined dok se provjerava sesija, null kad korisnik nije prijavljen
+  const [user, setUser] = useState(undefined);
+  const [view, setView] = useState('players');
   const [selectedPlayer, setSelectedPlayer] = useState(null);
+  const [selectedClub, setSelectedClub] = useState(null);
+  const [compareIds, setCompareIds] = useState([]);
+  const [selectedAgent, setSelectedAgent] = useState(null);
+  const [watchlists, setWatchlists] = useState([]);
+  const [watchlistsVersion, setWatchlistsVersion] = useState(0);
+
+  useEffect(() => {
+    setUnauthorizedHandler(() => setUser(null));
+    apiFetch('/api/auth/me')
+      .then((res) => (res.ok ? res.json() : null))
+      .then(setUser)
+      .catch(() => setUser(null));
+  }, []);
+
+  // popisi igrača za "Dodaj na popis" i panel Popisi, nakon svake promjene ponovno
+  useEffect(() => {
+    if (!user) return;
+    apiFetch('/api/watchlists')
+      .then((res) => res.json())
+      .then((data) => setWatchlists(Array.isArray(data) ? data : []))
+      .catch(console.error);
+  }, [user, watchlistsVersion]);
+
+  const reloadWatchlists = () => setWatchlistsVersion((n) => n + 1);
+
+  const logout = () => {
+    apiFetch('/api/auth/logout', { method: 'POST' })
+      .catch(console.error)
+      .finally(() => setUser(null));
+  };
+
+  const selectPlayer = (playerId) => {
+    setSelectedClub(null);
+    setSelectedPlayer(playerId);
+  };
+
+  const showAgent = (agent) => {
+    setSelectedAgent(agent);
+    setView('agents');
+  };
+
+  const toggleCompare = (playerId) => {
+    setCompareIds((ids) => {
+      if (ids.includes(playerId)) return ids.filter((id) => id !== playerId);
+      return ids.length < MAX_COMPARE ? [...ids, playerId] : ids;
+    });
+  };
+
+  if (user === undefined) return <p>Učitavanje...</p>;
+  if (!user) return <Login onLogin={setUser} />;
+
+  const canExport = hasRole(user, 'analyst');
 
   return (
-    <div style={{ display: 'flex', gap: '20px' }}>
-      <PlayersList onSelect={setSelectedPlayer} />
-      <PlayerDetails playerId={selectedPlayer} />
-    </div>
+    <>
+      <nav style={{ display: 'flex', gap: '10px', justifyContent: 'center' }}>
+        {VIEWS.map((v) => (
+          <button
+            key={v.id}
+            onClick={() => setView(v.id)}
+            disabled={view === v.id}
+          >
+            {v.label}
+            {v.id === 'compare' && compareIds.length > 0 && ` (${compareIds.length})`}
+          </button>
+        ))}
+        <Notifications onSelectPlayer={selectPlayer} refreshKey={watchlistsVersion} />
+        <span>
+          {user.username} ({user.role})
+        </span>
+        <button onClick={logout}>Odjava</button>
+      </nav>
+      <div style={{ display: 'flex', gap: '20px' }}>
+        {view === 'players' && (
+          <PlayersList
+            onSelect={selectPlayer}
+            compareIds={compareIds}
+            onToggleCompare={toggleCompare}
+            maxCompare={MAX_COMPARE}
+            canExport={canExport}
+            watchlists={watchlists}
+            onWatchlistsChanged={reloadWatchlists}
+          />
+        )}
+        {view === 'compare' && (
+          <PlayerComparison
+            playerIds={compareIds}
+            onRemove={toggleCompare}
+            onSelectPlayer={selectPlayer}
+          />
+        )}
+        {view === 'transfers' && <TransferWindow onSelectPlayer={selectPlayer} />}
+        {view === 'contracts' && (
+          <ContractTracker onSelectPlayer={selectPlayer} onSelectClub={setSelectedClub} />
+        )}
+        {view === 'rankings' && (
+          <Rankings onSelectPlayer={selectPlayer} onSelectClub={setSelectedClub} />
+        )}
+        {view === 'watchlists' && (
+          <Watchlists
+            lists={watchlists}
+            onListsChanged={reloadWatchlists}
+            onSelectPlayer={selectPlayer}
+            onSelectClub={setSelectedClub}
+          />
+        )}
+        {view === 'agents' && (
+          <AgentDirectory
+            agent={selectedAgent}
+            onSelectAgent={setSelectedAgent}
+            onSelectPlayer={selectPlayer}
+            onSelectClub={setSelectedClub}
+          />
+        )}
+        {selectedClub ? (
+          <ClubDetails
+            key={selectedClub}
+            clubId={selectedClub}
+            onSelectPlayer={selectPlayer}
+          />
+        ) : (
+          <PlayerDetails
+            playerId={selectedPlayer}
+            onSelectClub={setSelectedClub}
+            onSelectAgent={showAgent}
+            onSelectPlayer={selectPlayer}
+            canExport={canExport}
+            watchlists={watchlists}
+            onWatchlistsChanged={reloadWatchlists}
+          />
+        )}
+      </div>
+    </>
   );
 }
 
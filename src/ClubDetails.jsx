@@ -0,0 +1,172 @@
+import React, { useEffect, useState } from "react";
+import "./ClubDetails.css";
+import { apiFetch } from "./api";
+import { FinanceChart } from "./FinanceChart";
+import { calculateAge, formatEuro, formatSignedEuro } from "./format";
+
+// Redoslijed i nazivi linija u prikazu momčadi
+const POSITION_GROUPS = [
+  { label: "Vratari", match: /goalkeeper/i },
+  { label: "Obrana", match: /back|defender|defence/i },
+  { label: "Vezni red", match: /midfield/i },
+  { label: "Napad", match: /wing|forward|striker|attack/i },
+];
+
+function groupByPosition(players) {
+  const groups = POSITION_GROUPS.map((g) => ({ label: g.label, players: [] }));
+  const other = { label: "Ostalo", players: [] };
+
+  for (const p of players) {
+    const index = POSITION_GROUPS.findIndex((g) => g.match.test(p.position || ""));
+    (index === -1 ? other : groups[index]).players.push(p);
+  }
+
+  return [...groups, other].filter((g) => g.players.length > 0);
+}
+
+export function ClubDetails({ clubId, onSelectPlayer }) {
+  const [club, setClub] = useState(null);
+  const [season, setSeason] = useState(null);
+  const [squad, setSquad] = useState([]);
+  const [finances, setFinances] = useState(null);
+
+  useEffect(() => {
+    if (!clubId) return;
+
+    apiFetch(`/api/clubs/${clubId}`)
+      .then((res) => res.json())
+      .then((data) => {
+        setClub(data);
+        setSeason(data.squadSeasons?.[0] ?? null);
+      })
+      .catch(console.error);
+
+    apiFetch(`/api/clubs/${clubId}/finances`)
+      .then((res) => res.json())
+      .then(setFinances)
+      .catch(console.error);
+  }, [clubId]);
+
+  useEffect(() => {
+    if (!clubId || season === null) return;
+
+    apiFetch(`/api/clubs/${clubId}/players?season=${season}`)
+      .then((res) => res.json())
+      .then((data) => setSquad(data.players || []))
+      .catch(console.error);
+  }, [clubId, season]);
+
+  if (!club) return <div>Učitavanje...</div>;
+  if (club.message) return <div>{club.message}</div>;
+
+  const valued = squad.filter((p) => p.marketValue > 0);
+  const totalValue = valued.reduce((sum, p) => sum + p.marketValue, 0);
+  const averageValue = valued.length ? totalValue / valued.length : 0;
+
+  return (
+    <div className="club-details-container">
+      <h2>{club.name || "Nepoznato"}</h2>
+      <p>Liga: {club.league || "Nepoznato"}</p>
+      <p>Država: {club.country || "Nepoznato"}</p>
+      <p>Bilanca: {club.balance || "Nepoznato"}</p>
+
+      <div className="club-season">
+        <label htmlFor="club-season-select">Sezona: </label>
+        <select
+          id="club-season-select"
+          value={season ?? ""}
+          onChange={(e) => setSeason(Number(e.target.value))}
+        >
+          {(club.squadSeasons || []).map((s) => (
+            <option key={s} value={s}>
+              {s}/{String(s + 1).slice(-2)}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <p>
+        Ukupna vrijednost momčadi: <span>{formatEuro(totalValue)}</span>
+      </p>
+      <p>
+        Prosječna vrijednost igrača: <span>{formatEuro(averageValue)}</span>
+      </p>
+
+      {squad.length === 0 ? (
+        <p>Nema podataka o momčadi za odabranu sezonu.</p>
+      ) : (
+        groupByPosition(squad).map((group) => (
+          <div key={group.label} className="squad-group">
+            <h3>{group.label}</h3>
+            <table className="squad-table">
+              <thead>
+                <tr>
+                  <th>Igrač</th>
+                  <th>Pozicija</th>
+                  <th>Dob</th>
+                  <th>Vrijednost</th>
+                </tr>
+              </thead>
+              <tbody>
+                {group.players.map((p) => (
+                  <tr key={p.player_id} onClick={() => onSelectPlayer(p.player_id)}>
+                    <td>{p.player_name || "Nepoznato"}</td>
+                    <td>{p.position || "N/A"}</td>
+                    <td>{calculateAge(p.date_of_birth)}</td>
+                    <td>{p.market_value || "N/A"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ))
+      )}
+
+      <h3>Financije</h3>
+      {finances?.seasons ? (
+        <>
+          <FinanceChart seasons={finances.seasons} />
+          <p>
+            Ukupno potrošeno: <span>{formatEuro(finances.totals.spend)}</span>, zarađeno:{" "}
+            <span>{formatEuro(finances.totals.income)}</span>, neto:{" "}
+            <span>{formatSignedEuro(finances.totals.net)}</span>
+          </p>
+          <table className="squad-table finance-table">
+            <thead>
+              <tr>
+                <th>Sezona</th>
+                <th>Potrošeno</th>
+                <th>Zarađeno</th>
+                <th>Neto iz transfera</th>
+                <th>Zabilježena bilanca</th>
+                <th>Razlika</th>
+              </tr>
+            </thead>
+            <tbody>
+              {[...finances.seasons].reverse().map((s) => (
+                <tr
+                  key={s.season}
+                  className={s.mismatch ? "mismatch" : undefined}
+                  title={
+                    s.mismatch
+                      ? `Bilanca se ne slaže s transferima (transfera bez poznate naknade: ${s.unknownFees})`
+                      : undefined
+                  }
+                >
+                  <td>{s.label}</td>
+                  <td>{formatEuro(s.spend)}</td>
+                  <td>{formatEuro(s.income)}</td>
+                  <td>{formatSignedEuro(s.net)}</td>
+                  <td>{s.recordedBalance === null ? "N/A" : formatSignedEuro(s.recordedBalance)}</td>
+                  <td>{s.difference === null ? "N/A" : formatSignedEuro(s.difference)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      ) : (
+        <p>Nema podataka o financijama.</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,183 @@
+import React, { useEffect, useState } from "react";
+import "./ContractTracker.css";
+import { apiFetch } from "./api";
+import { calculateAge, formatEuro } from "./format";
+
+const WINDOWS = [6, 12, 18, 24];
+const PAGE_SIZE = 25;
+
+const EMPTY_FILTERS = {
+  league: "",
+  position: "",
+  minAge: "",
+  maxAge: "",
+  minValue: "",
+  maxValue: "",
+};
+
+export function ContractTracker({ onSelectPlayer, onSelectClub }) {
+  const [months, setMonths] = useState(12);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [players, setPlayers] = useState([]);
+  const [paging, setPaging] = useState({ page: 1, total: 0, hasMore: false });
+  const [error, setError] = useState("");
+
+  const fetchPlayers = (windowMonths, page = 1) => {
+    const params = new URLSearchParams({ months: windowMonths, page, pageSize: PAGE_SIZE });
+    Object.entries(filters).forEach(([key, val]) => {
+      if (val) params.append(key, val);
+    });
+
+    apiFetch(`/api/contracts/expiring?${params.toString()}`)
+      .then((res) => res.json())
+      .then((data) => {
+        setError(data.players ? "" : data.message || "Greška pri dohvaćanju igrača");
+        setPlayers(data.players || []);
+        setPaging({ page: data.page || 1, total: data.total || 0, hasMore: !!data.hasMore });
+      })
+      .catch(console.error);
+  };
+
+  // prvo učitavanje sa zadanim razdobljem, dalje na promjenu razdoblja ili "Pretraži"
+  useEffect(() => {
+    apiFetch(`/api/contracts/expiring?months=12&pageSize=${PAGE_SIZE}`)
+      .then((res) => res.json())
+      .then((data) => {
+        setPlayers(data.players || []);
+        setPaging({ page: data.page, total: data.total, hasMore: data.hasMore });
+      })
+      .catch(console.error);
+  }, []);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFilters((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const changeWindow = (value) => {
+    setMonths(value);
+    fetchPlayers(value);
+  };
+
+  const totalPages = Math.max(1, Math.ceil(paging.total / PAGE_SIZE));
+
+  return (
+    <div className="contract-tracker-container">
+      <h2>Ugovori pred istekom</h2>
+
+      <div className="contract-window">
+        Ugovor istječe u sljedećih:
+        {WINDOWS.map((w) => (
+          <button key={w} onClick={() => changeWindow(w)} disabled={months === w}>
+            {w} mj.
+          </button>
+        ))}
+      </div>
+
+      <div className="contract-filters">
+        <input name="league" placeholder="Liga" value={filters.league} onChange={handleChange} />
+        <input
+          name="position"
+          placeholder="Pozicija"
+          value={filters.position}
+          onChange={handleChange}
+        />
+        <input
+          name="minAge"
+          type="number"
+          min="0"
+          placeholder="Min. dob"
+          value={filters.minAge}
+          onChange={handleChange}
+        />
+        <input
+          name="maxAge"
+          type="number"
+          min="0"
+          placeholder="Maks. dob"
+          value={filters.maxAge}
+          onChange={handleChange}
+        />
+        <input
+          name="minValue"
+          placeholder="Min. vrijednost (npr. 5m)"
+          value={filters.minValue}
+          onChange={handleChange}
+        />
+        <input
+          name="maxValue"
+          placeholder="Maks. vrijednost (npr. 20m)"
+          value={filters.maxValue}
+          onChange={handleChange}
+        />
+        <button onClick={() => fetchPlayers(months)}>Pretraži</button>
+      </div>
+      {error && <p className="contract-error">{error}</p>}
+
+      {players.length === 0 ? (
+        <p>Nema igrača kojima ugovor istječe u tom razdoblju.</p>
+      ) : (
+        <table className="contract-table">
+          <thead>
+            <tr>
+              <th>Igrač</th>
+              <th>Klub</th>
+              <th>Liga</th>
+              <th>Pozicija</th>
+              <th>Dob</th>
+              <th>Vrijednost</th>
+              <th>Ugovor do</th>
+            </tr>
+          </thead>
+          <tbody>
+            {players.map((p) => (
+              <tr key={p.player_id} onClick={() => onSelectPlayer(p.player_id)}>
+                <td>{p.name || "Nepoznato"}</td>
+                <td>
+                  {p.clubId ? (
+                    <button
+                      className="club-link"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        onSelectClub(p.clubId);
+                      }}
+                    >
+                      {p.currentClub || "Nepoznato"}
+                    </button>
+                  ) : (
+                    p.currentClub || "N/A"
+                  )}
+                </td>
+                <td>{p.league || "N/A"}</td>
+                <td>{p.position || "N/A"}</td>
+                <td>{calculateAge(p.birthDate)}</td>
+                <td>{formatEuro(p.value)}</td>
+                <td>
+                  {new Date(p.contractExpires).toLocaleDateString("hr-HR")}
+                  <small> (još {p.daysLeft} dana)</small>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {paging.total > PAGE_SIZE && (
+        <div className="pagination">
+          <button
+            onClick={() => fetchPlayers(months, paging.page - 1)}
+            disabled={paging.page <= 1}
+          >
+            Prethodna
+          </button>
+          <span>
+            Stranica {paging.page} od {totalPages} ({paging.total} igrača)
+          </span>
+          <button onClick={() => fetchPlayers(months, paging.page + 1)} disabled={!paging.hasMore}>
+            Sljedeća
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
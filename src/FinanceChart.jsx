@@ -0,0 +1,110 @@
+import React from "react";
+import "./FinanceChart.css";
+import { formatEuro, formatSignedEuro } from "./format";
+
+const WIDTH = 600;
+const HEIGHT = 260;
+const PADDING = { top: 20, right: 20, bottom: 30, left: 70 };
+
+// Stupčasti graf po sezonama: zarada iznad nule, potrošnja ispod nule, neto iz
+// transfera kao linija i zabilježena bilanca kao kružić. Sezone u kojima se
+// bilanca i neto ne slažu (mismatch) označene su uskličnikom.
+// seasons: [{ label, spend, income, net, recordedBalance, mismatch }]
+export function FinanceChart({ seasons }) {
+  if (seasons.length === 0) return <p>Nema podataka o financijama.</p>;
+
+  const values = seasons.flatMap((s) => [s.income, -s.spend, s.net, s.recordedBalance ?? 0]);
+  const maxValue = Math.max(0, ...values);
+  const minValue = Math.min(0, ...values);
+  const range = maxValue - minValue || 1;
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const slot = plotWidth / seasons.length;
+  const barWidth = Math.min(24, slot * 0.6);
+  const x = (i) => PADDING.left + slot * i + slot / 2;
+  const y = (value) => PADDING.top + ((maxValue - value) / range) * plotHeight;
+  // svaka n-ta oznaka sezone da se ne preklapaju
+  const labelStep = Math.ceil(seasons.length / 10);
+
+  return (
+    <div className="finance-chart">
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label="Financije kluba">
+        <line
+          className="axis"
+          x1={PADDING.left}
+          y1={PADDING.top}
+          x2={PADDING.left}
+          y2={PADDING.top + plotHeight}
+        />
+        <line className="axis" x1={PADDING.left} y1={y(0)} x2={WIDTH - PADDING.right} y2={y(0)} />
+        <text className="label" x={PADDING.left - 8} y={PADDING.top + 4} textAnchor="end">
+          {formatSignedEuro(maxValue)}
+        </text>
+        <text className="label" x={PADDING.left - 8} y={y(0) + 4} textAnchor="end">
+          €0
+        </text>
+        <text className="label" x={PADDING.left - 8} y={PADDING.top + plotHeight} textAnchor="end">
+          {formatSignedEuro(minValue)}
+        </text>
+
+        {seasons.map((s, i) => (
+          <g key={s.label}>
+            <rect
+              className="income"
+              x={x(i) - barWidth / 2}
+              y={y(s.income)}
+              width={barWidth}
+              height={y(0) - y(s.income)}
+            >
+              <title>
+                {s.label}: zarada {formatEuro(s.income)}
+              </title>
+            </rect>
+            <rect
+              className="spend"
+              x={x(i) - barWidth / 2}
+              y={y(0)}
+              width={barWidth}
+              height={y(-s.spend) - y(0)}
+            >
+              <title>
+                {s.label}: potrošnja {formatEuro(s.spend)}
+              </title>
+            </rect>
+            {s.recordedBalance !== null && (
+              <circle className="balance" cx={x(i)} cy={y(s.recordedBalance)} r="4">
+                <title>
+                  {s.label}: zabilježena bilanca {formatSignedEuro(s.recordedBalance)}
+                </title>
+              </circle>
+            )}
+            {s.mismatch && (
+              <text className="mismatch" x={x(i)} y={PADDING.top - 6} textAnchor="middle">
+                !<title>{s.label}: bilanca se ne slaže s transferima</title>
+              </text>
+            )}
+            {i % labelStep === 0 && (
+              <text className="label" x={x(i)} y={HEIGHT - 8} textAnchor="middle">
+                {s.label}
+              </text>
+            )}
+          </g>
+        ))}
+
+        <polyline
+          className="net"
+          fill="none"
+          points={seasons.map((s, i) => `${x(i)},${y(s.net)}`).join(" ")}
+        />
+      </svg>
+
+      <div className="finance-chart-legend">
+        <span className="income">■ Zarada</span>
+        <span className="spend">■ Potrošnja</span>
+        <span className="net">— Neto iz transfera</span>
+        <span className="balance">○ Zabilježena bilanca</span>
+      </div>
+    </div>
+  );
+}
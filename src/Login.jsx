@@ -0,0 +1,53 @@
+import React, { useState } from "react";
+import "./Login.css";
+import { apiSend, errorText } from "./api";
+
+// onLogin dobiva { username, role } nakon uspješne prijave
+export function Login({ onLogin }) {
+  const [form, setForm] = useState({ username: "", password: "" });
+  const [error, setError] = useState("");
+  const [sending, setSending] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setSending(true);
+    setError("");
+
+    apiSend("/api/auth/login", "POST", form)
+      .then(({ ok, data }) => (ok ? onLogin(data) : setError(errorText(data))))
+      .catch(() => setError("Poslužitelj nije dostupan"))
+      .finally(() => setSending(false));
+  };
+
+  return (
+    <form className="login-form" onSubmit={handleSubmit}>
+      <h2>Prijava</h2>
+      <label htmlFor="login-username">Korisničko ime</label>
+      <input
+        id="login-username"
+        name="username"
+        autoComplete="username"
+        value={form.username}
+        onChange={handleChange}
+      />
+      <label htmlFor="login-password">Lozinka</label>
+      <input
+        id="login-password"
+        name="password"
+        type="password"
+        autoComplete="current-password"
+        value={form.password}
+        onChange={handleChange}
+      />
+      {error && <p className="login-error">{error}</p>}
+      <button type="submit" disabled={sending || !form.username || !form.password}>
+        Prijavi se
+      </button>
+    </form>
+  );
+}
@@ -0,0 +1,70 @@
+import React, { useEffect, useState } from "react";
+import "./Notifications.css";
+import { apiFetch, apiSend } from "./api";
+
+const POLL_INTERVAL_MS = 60_000;
+
+const EVENT_LABELS = {
+  value_up: "Vrijednost ↑",
+  value_down: "Vrijednost ↓",
+  transfer: "Transfer",
+  club_change: "Novi klub",
+  contract_extended: "Ugovor",
+};
+
+// Obavijesti o promjenama igrača s korisnikovih popisa (GET /api/events/notifications).
+// refreshKey se mijenja kad se promijene popisi pa se obavijesti ponovno učitavaju.
+export function Notifications({ onSelectPlayer, refreshKey }) {
+  const [data, setData] = useState({ unread: 0, events: [] });
+  const [open, setOpen] = useState(false);
+
+  useEffect(() => {
+    const load = () =>
+      apiFetch("/api/events/notifications")
+        .then((res) => res.json())
+        .then((result) => result.events && setData(result))
+        .catch(console.error);
+
+    load();
+    const timer = setInterval(load, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [refreshKey]);
+
+  const toggle = () => {
+    setOpen((o) => !o);
+    if (open || data.unread === 0) return;
+    apiSend("/api/events/notifications/seen", "POST")
+      .then(({ ok }) => ok && setData((d) => ({ ...d, unread: 0 })))
+      .catch(console.error);
+  };
+
+  const select = (playerId) => {
+    setOpen(false);
+    onSelectPlayer(playerId);
+  };
+
+  return (
+    <span className="notifications">
+      <button onClick={toggle}>
+        Obavijesti{data.unread > 0 && <span className="notifications-badge">{data.unread}</span>}
+      </button>
+      {open && (
+        <ul className="notifications-list">
+          {data.events.length === 0 && <li>Nema promjena za igrače s vaših popisa.</li>}
+          {data.events.map((e) => (
+            <li
+              key={e._id}
+              className={e.unread ? "unread" : ""}
+              onClick={() => select(e.player_id)}
+            >
+              <strong>{e.playerName || e.player_id}</strong> · {EVENT_LABELS[e.type] || e.type}
+              <br />
+              {e.message}
+              <small>{new Date(e.createdAt).toLocaleDateString("hr-HR")}</small>
+            </li>
+          ))}
+        </ul>
+      )}
+    </span>
+  );
+}
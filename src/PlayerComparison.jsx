@@ -0,0 +1,88 @@
+import React, { useEffect, useState } from "react";
+import "./PlayerComparison.css";
+import { apiFetch } from "./api";
+import { ValueChart } from "./ValueChart";
+import { calculateAge, formatEuro } from "./format";
+
+const ROWS = [
+  { label: "Dob", value: (p) => calculateAge(p.date_of_birth) },
+  { label: "Državljanstvo", value: (p) => p.citizenship || "Nepoznato" },
+  { label: "Pozicija", value: (p) => p.clubPlayer?.Player_possition || "N/A" },
+  { label: "Agent", value: (p) => p.agent || "Nepoznato" },
+  { label: "Trenutni klub", value: (p) => p.club_name || p.current_club || "Nepoznato" },
+  { label: "Tržišna vrijednost", value: (p) => formatEuro(p.marketValue) },
+  { label: "Broj transfera", value: (p) => p.transferCount },
+  { label: "Ukupne naknade", value: (p) => formatEuro(p.totalFees) },
+];
+
+const playerName = (p) => p.given_name || p.clubPlayer?.Player_name || "Nepoznato";
+
+export function PlayerComparison({ playerIds, onRemove, onSelectPlayer }) {
+  const [players, setPlayers] = useState([]);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (playerIds.length < 2) return;
+
+    apiFetch(`/api/players/compare?ids=${playerIds.join(",")}`)
+      .then((res) => res.json())
+      .then((data) => {
+        setError(data.players ? "" : data.message || "Greška pri dohvaćanju igrača");
+        setPlayers(data.players || []);
+      })
+      .catch(console.error);
+  }, [playerIds]);
+
+  if (playerIds.length < 2) {
+    return (
+      <div className="player-comparison-container">
+        <h2>Usporedba igrača</h2>
+        <p>Označi barem dva igrača u popisu igrača.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="player-comparison-container">
+      <h2>Usporedba igrača</h2>
+      {error && <p className="comparison-error">{error}</p>}
+
+      <table className="comparison-table">
+        <thead>
+          <tr>
+            <th></th>
+            {players.map((p) => (
+              <th key={p.player_id}>
+                <button className="player-link" onClick={() => onSelectPlayer(p.player_id)}>
+                  {playerName(p)}
+                </button>
+                <button
+                  className="remove-player"
+                  title="Ukloni iz usporedbe"
+                  onClick={() => onRemove(p.player_id)}
+                >
+                  ✕
+                </button>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {ROWS.map((row) => (
+            <tr key={row.label}>
+              <th>{row.label}</th>
+              {players.map((p) => (
+                <td key={p.player_id}>{row.value(p)}</td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <h3>Kretanje tržišne vrijednosti</h3>
+      <ValueChart
+        series={players.map((p) => ({ label: playerName(p), points: p.valueHistory }))}
+      />
+    </div>
+  );
+}
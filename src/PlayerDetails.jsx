@@ -1,16 +1,318 @@
 import React, { useEffect, useState } from "react";
 import "./PlayerDetails.css";
+import { API_URL, apiFetch, errorText } from "./api";
+import { ValueChart } from "./ValueChart";
+import { AddToWatchlist } from "./AddToWatchlist";
+import { formatEuro, formatFee, isFinalContractYear } from "./format";
 
-export function PlayerDetails({ playerId }) {
+function formatChange(change) {
+  const sign = change.value > 0 ? "+" : change.value < 0 ? "-" : "";
+  const percent =
+    change.percent === null ? "" : ` (${sign}${Math.abs(change.percent).toFixed(1)}%)`;
+  return `${sign}${formatEuro(Math.abs(change.value))}${percent}`;
+}
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString("hr-HR") : "N/A");
+
+// Karijera po sezonama (od najnovije): klubovi iz club_players s ligom,
+// pozicijom i vrijednošću te transferi iz te sezone
+function CareerTimeline({ playerId, onSelectClub }) {
+  const [career, setCareer] = useState(null);
+
+  useEffect(() => {
+    apiFetch(`/api/players/${playerId}/career`)
+      .then((res) => res.json())
+      .then(setCareer)
+      .catch(console.error);
+  }, [playerId]);
+
+  if (!career) return <p>Učitavanje...</p>;
+  if (!career.seasons?.length) return <p>Nema podataka o karijeri.</p>;
+
+  return (
+    <ol className="career-timeline">
+      {[...career.seasons].reverse().map((s) => (
+        <li key={s.season}>
+          <div className="career-season">{s.label}</div>
+          {s.clubs.map((c, idx) => (
+            <p key={`${c.club_id}-${idx}`}>
+              {c.club_id ? (
+                <button className="club-link" onClick={() => onSelectClub(c.club_id)}>
+                  {c.club || "Nepoznato"}
+                </button>
+              ) : (
+                c.club || "Nepoznato"
+              )}
+              {c.onLoan && <span className="career-loan">posudba</span>}
+              {c.league && ` · ${c.league}`}
+              {c.position && ` · ${c.position}`}
+              {c.marketValue ? ` · ${formatEuro(c.marketValue)}` : ""}
+            </p>
+          ))}
+          {s.transfers.map((t, idx) => (
+            <p key={idx} className="career-transfer">
+              {formatDate(t.date)}: {t.from || "?"} → {t.to || "?"} ({formatFee(t)})
+            </p>
+          ))}
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+const ASSESSMENTS = {
+  undervalued: "Podcijenjen",
+  overvalued: "Precijenjen",
+  fair: "U rasponu procjene",
+};
+
+// Ulazna vrijednost čimbenika procjene za prikaz
+function factorValue({ factor, value }) {
+  if (value === null) return "nema podatka";
+  if (factor === "age") return `${value} god.`;
+  if (factor === "contract") return `do ${formatDate(value)}`;
+  if (factor === "history" || factor === "transfers") return formatEuro(value);
+  return value;
+}
+
+// Procijenjena vrijednost (/api/players/:id/valuation) uz navedenu, s 90%
+// rasponom i čimbenicima koji su je podigli ili spustili
+function ValuationSummary({ playerId }) {
+  const [valuation, setValuation] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    apiFetch(`/api/players/${playerId}/valuation`)
+      .then((res) => res.json())
+      .then((data) => {
+        setError(data.estimatedValue ? "" : errorText(data) || "Procjena nije dostupna");
+        setValuation(data.estimatedValue ? data : null);
+      })
+      .catch(console.error);
+  }, [playerId]);
+
+  if (error) return <p>{error}</p>;
+  if (!valuation) return <p>Učitavanje...</p>;
+
+  return (
+    <div className="valuation">
+      <p>
+        Procijenjena vrijednost: <span>{formatEuro(valuation.estimatedValue)}</span> (
+        {Math.round(valuation.range.confidence * 100)}% raspon {formatEuro(valuation.range.low)} –{" "}
+        {formatEuro(valuation.range.high)})
+      </p>
+      <p>
+        Navedena vrijednost: <span>{formatEuro(valuation.listedValue)}</span>
+        {valuation.difference && ` · ${formatChange(valuation.difference)} u odnosu na procjenu`}
+        {valuation.assessment && (
+          <span className={`valuation-badge ${valuation.assessment}`}>
+            {ASSESSMENTS[valuation.assessment]}
+          </span>
+        )}
+      </p>
+      <ul className="valuation-factors">
+        {valuation.factors.map((f) => (
+          <li key={f.factor}>
+            {f.label} ({factorValue(f)}):{" "}
+            <span className={f.effect > 0 ? "positive" : f.effect < 0 ? "negative" : ""}>
+              {f.effect > 0 ? "+" : ""}
+              {f.effect}%
+            </span>
+          </li>
+        ))}
+      </ul>
+      <p className="valuation-model">
+        Prema prosječnom igraču ({formatEuro(valuation.baseline)}); model na{" "}
+        {valuation.model.samples} igrača, R² {valuation.model.r2}, treniran{" "}
+        {formatDate(valuation.model.trainedAt)}
+      </p>
+    </div>
+  );
+}
+
+const SIMILARITY_FEATURES = {
+  position: "Pozicija",
+  age: "Dob",
+  height: "Visina",
+  foot: "Noga",
+  league: "Razina lige",
+  trajectory: "Kretanje vrijednosti",
+  citizenship: "Državljanstvo",
+};
+
+const EMPTY_SIMILAR_FILTERS = { maxValue: "", maxAge: "" };
+
+// Najsličniji igrači (/api/players/:id/similar) s filtrima i težinama
+// svojstava; prazna težina znači zadanu vrijednost sa servera
+function SimilarPlayers({ playerId, onSelectPlayer }) {
+  const [filters, setFilters] = useState(EMPTY_SIMILAR_FILTERS);
+  const [weights, setWeights] = useState({});
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState("");
+
+  const showResult = (data) => {
+    setError(data.players ? "" : errorText(data) || "Greška pri dohvaćanju sličnih igrača");
+    setResult(data.players ? data : null);
+  };
+
+  const fetchSimilar = (query = {}) => {
+    const params = new URLSearchParams();
+    Object.entries(query.filters || {}).forEach(([key, val]) => {
+      if (val) params.append(key, val);
+    });
+    const weightText = Object.entries(query.weights || {})
+      .filter(([, val]) => val !== "")
+      .map(([feature, val]) => `${feature}:${val}`)
+      .join(",");
+    if (weightText) params.append("weights", weightText);
+
+    apiFetch(`/api/players/${playerId}/similar?${params.toString()}`)
+      .then((res) => res.json())
+      .then(showResult)
+      .catch(console.error);
+  };
+
+  useEffect(() => {
+    apiFetch(`/api/players/${playerId}/similar`)
+      .then((res) => res.json())
+      .then(showResult)
+      .catch(console.error);
+  }, [playerId]);
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleWeightChange = (e) => {
+    const { name, value } = e.target;
+    setWeights((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const search = (e) => {
+    e.preventDefault();
+    fetchSimilar({ filters, weights });
+  };
+
+  const reset = () => {
+    setFilters(EMPTY_SIMILAR_FILTERS);
+    setWeights({});
+    fetchSimilar();
+  };
+
+  return (
+    <div className="similar-players">
+      <form className="similar-filters" onSubmit={search}>
+        <input
+          name="maxValue"
+          placeholder="Najviša vrijednost (npr. 5m)"
+          value={filters.maxValue}
+          onChange={handleFilterChange}
+        />
+        <input
+          name="maxAge"
+          type="number"
+          min="0"
+          placeholder="Najviša dob"
+          value={filters.maxAge}
+          onChange={handleFilterChange}
+        />
+        <details>
+          <summary>Težine</summary>
+          {Object.entries(SIMILARITY_FEATURES).map(([feature, label]) => (
+            <label key={feature}>
+              {label}
+              <input
+                name={feature}
+                type="number"
+                min="0"
+                step="0.5"
+                placeholder={String(result?.weights?.[feature] ?? "")}
+                value={weights[feature] ?? ""}
+                onChange={handleWeightChange}
+              />
+            </label>
+          ))}
+        </details>
+        <button type="submit">Traži</button>
+        <button type="button" onClick={reset}>
+          Poništi
+        </button>
+      </form>
+
+      {error && <p className="similar-error">{error}</p>}
+
+      {!result ? (
+        !error && <p>Učitavanje...</p>
+      ) : result.players.length === 0 ? (
+        <p>Nema sličnih igrača za zadane filtre.</p>
+      ) : (
+        <table className="similar-table">
+          <thead>
+            <tr>
+              <th>Igrač</th>
+              <th>Pozicija</th>
+              <th>Dob</th>
+              <th>Klub</th>
+              <th>Vrijednost</th>
+              <th>Sličnost</th>
+            </tr>
+          </thead>
+          <tbody>
+            {result.players.map((p) => (
+              <tr key={p.player_id}>
+                <td>
+                  <button className="club-link" onClick={() => onSelectPlayer(p.player_id)}>
+                    {p.name || "Nepoznato"}
+                  </button>
+                </td>
+                <td>{p.position || "N/A"}</td>
+                <td>{p.age ?? "N/A"}</td>
+                <td>
+                  {p.currentClub || "N/A"}
+                  {p.league && ` · ${p.league}`}
+                </td>
+                <td>{formatEuro(p.value)}</td>
+                <td
+                  title={Object.entries(p.breakdown)
+                    .map(([f, score]) => `${SIMILARITY_FEATURES[f]}: ${Math.round(score * 100)}%`)
+                    .join("\n")}
+                >
+                  {p.similarity}%
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export function PlayerDetails({
+  playerId,
+  onSelectClub,
+  onSelectAgent,
+  onSelectPlayer,
+  canExport = false,
+  watchlists = [],
+  onWatchlistsChanged,
+}) {
   const [player, setPlayer] = useState(null);
+  const [valueHistory, setValueHistory] = useState(null);
 
   useEffect(() => {
     if (!playerId) return;
 
-    fetch(`http://localhost:4000/api/player/${playerId}`)
+    apiFetch(`/api/player/${playerId}`)
       .then((res) => res.json())
       .then(setPlayer)
       .catch(console.error);
+
+    apiFetch(`/api/marketvalues/${playerId}`)
+      .then((res) => res.json())
+      .then(setValueHistory)
+      .catch(console.error);
   }, [playerId]);
 
   if (!player) return <div>Učitavanje...</div>;
@@ -22,14 +324,45 @@ export function PlayerDetails({ playerId }) {
           player.name ||
           player.clubPlayer?.Player_name ||
           "Nepoznato"}
+        {isFinalContractYear(player.contract_expires) && (
+          <span className="contract-badge" title="Ugovor istječe u sljedećih 12 mjeseci">
+            Zadnja godina ugovora
+          </span>
+        )}
       </h2>
+      <AddToWatchlist playerId={playerId} lists={watchlists} onAdded={onWatchlistsChanged} />
+      {canExport && (
+        <p className="dossier-link">
+          <a href={`${API_URL}/api/players/${playerId}/dossier`}>Preuzmi PDF profil</a>
+        </p>
+      )}
       <p>Državljanstvo: {player.citizenship || "Nepoznato"}</p>
       <p>
-        Trenutni klub: {player.club_name || player.current_club || "Nepoznato"}
+        Trenutni klub:{" "}
+        {player.clubPlayer?.ClubID ? (
+          <button
+            className="club-link"
+            onClick={() => onSelectClub(Number(player.clubPlayer.ClubID))}
+          >
+            {player.club_name || player.current_club || "Nepoznato"}
+          </button>
+        ) : (
+          player.club_name || player.current_club || "Nepoznato"
+        )}
       </p>
       <p>Pozicija: {player.clubPlayer?.Player_possition || "N/A"}</p>
       <p>Datum rođenja: {player.date_of_birth || "Nepoznato"}</p>
-      <p>Agent: {player.agent || "Nepoznato"}</p>
+      <p>Ugovor do: {player.contract_expires || "Nepoznato"}</p>
+      <p>
+        Agent:{" "}
+        {player.agent ? (
+          <button className="club-link" onClick={() => onSelectAgent(player.agent.trim())}>
+            {player.agent}
+          </button>
+        ) : (
+          "Nepoznato"
+        )}
+      </p>
 
       <p>
         Vrijednost:{" "}
@@ -39,19 +372,35 @@ export function PlayerDetails({ playerId }) {
             : "Nepoznato")}
       </p>
 
-      <h3>Transferi</h3>
-      {player.transfers && player.transfers.length > 0 ? (
-        <ul>
-          {player.transfers.map((t, idx) => (
-            <li key={idx}>
-              Sezona: {t.season}, Datum: {t.date}, Iz: {t.left} → U: {t.joined},
-              Tadašnja vrijednost: {t.mv}, Vrijednost transfera: {t.fee}
-            </li>
-          ))}
-        </ul>
+      <h3>Procjena vrijednosti</h3>
+      <ValuationSummary key={playerId} playerId={playerId} />
+
+      <h3>Kretanje tržišne vrijednosti</h3>
+      {valueHistory?.history ? (
+        <>
+          <ValueChart series={[{ label: "Vrijednost", points: valueHistory.history }]} />
+          {valueHistory.peak && (
+            <p>
+              Najveća vrijednost: <span>{formatEuro(valueHistory.peak.value)}</span> (
+              {new Date(valueHistory.peak.date).toLocaleDateString("hr-HR")})
+            </p>
+          )}
+          {valueHistory.changeSinceLastSeason && (
+            <p>
+              Promjena od prošle sezone:{" "}
+              <span>{formatChange(valueHistory.changeSinceLastSeason)}</span>
+            </p>
+          )}
+        </>
       ) : (
-        <p>Nema podataka o transferima.</p>
+        <p>Nema podataka o tržišnoj vrijednosti.</p>
       )}
+
+      <h3>Karijera</h3>
+      <CareerTimeline key={playerId} playerId={playerId} onSelectClub={onSelectClub} />
+
+      <h3>Slični igrači</h3>
+      <SimilarPlayers key={playerId} playerId={playerId} onSelectPlayer={onSelectPlayer} />
     </div>
   );
 }
@@ -1,7 +1,33 @@
-import React, { useState } from "react";
+import React, { useEffect, useState } from "react";
 import "./PlayerList.css";
+import { API_URL, apiFetch } from "./api";
+import { AddToWatchlist } from "./AddToWatchlist";
+import { calculateAge } from "./format";
 
-export function PlayersList({ onSelect }) {
+const VALUE_FIELDS = ["value", "minValue", "maxValue"];
+const PAGE_SIZE = 25;
+const SUGGESTION_DELAY = 250;
+const MIN_SUGGESTION_LENGTH = 2;
+
+function formatValue(p) {
+  return (
+    p.clubPlayer?.Player_MarketValue ||
+    (p.value ? `€${(p.value / 1_000_000).toFixed(2)}m` : "N/A")
+  );
+}
+
+// compareIds: igrači označeni za usporedbu (najviše maxCompare)
+// canExport: izvoz je dopušten od uloge analyst naviše
+// watchlists: korisnikovi popisi za "Dodaj na popis" u svakom retku
+export function PlayersList({
+  onSelect,
+  compareIds = [],
+  onToggleCompare,
+  maxCompare = 4,
+  canExport = false,
+  watchlists = [],
+  onWatchlistsChanged,
+}) {
   const [players, setPlayers] = useState([]);
   const [form, setForm] = useState({
     name: "",
@@ -11,20 +37,58 @@ export function PlayersList({ onSelect }) {
     position: "",
     birthDate: "",
     agent: "",
+    minValue: "",
+    maxValue: "",
   });
+  const [sort, setSort] = useState({ field: "", descending: false });
+  const [paging, setPaging] = useState({ page: 1, total: 0, hasMore: false });
+  const [suggestions, setSuggestions] = useState([]);
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const [activeSuggestion, setActiveSuggestion] = useState(-1);
+
+  // prijedlozi dok se tipka ime, tek kad korisnik zastane
+  useEffect(() => {
+    const q = form.name.trim();
+    if (q.length < MIN_SUGGESTION_LENGTH) return;
 
-  const [errors, setErrors] = useState({ value: "" });
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      apiFetch(`/api/players/search?q=${encodeURIComponent(q)}&limit=8`)
+        .then((res) => res.json())
+        .then((data) => {
+          if (cancelled) return;
+          setSuggestions(Array.isArray(data) ? data : []);
+          setActiveSuggestion(-1);
+        })
+        .catch(console.error);
+    }, SUGGESTION_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [form.name]);
+
+  const visibleSuggestions =
+    showSuggestions && form.name.trim().length >= MIN_SUGGESTION_LENGTH ? suggestions : [];
+
+  const [errors, setErrors] = useState({
+    value: "",
+    minValue: "",
+    maxValue: "",
+  });
 
+  // isti oblici kao parseMoney na serveru: "5m", "€5m", "800k", "€800Th.", "1,5m"
   function isValidValueInput(value) {
     if (!value) return true;
-    return /^(\d+(\.\d+)?)([mk])?$/i.test(value.trim());
+    return /^[+-]?\s*€?\s*\d+([.,]\d+)?\s*(bn|m|k|th\.)?$/i.test(value.trim());
   }
 
   const handleChange = (e) => {
     const { name, value } = e.target;
     setForm((prev) => ({ ...prev, [name]: value }));
 
-    if (name === "value") {
+    if (VALUE_FIELDS.includes(name)) {
       if (!isValidValueInput(value)) {
         setErrors((prev) => ({ ...prev, [name]: "Neispravan format" }));
       } else {
@@ -33,32 +97,124 @@ export function PlayersList({ onSelect }) {
     }
   };
 
-  const handleSearch = () => {
-    if (errors.value) {
-      alert("Ispravi grešku u unosu vrijednosti prije pretraživanja.");
-      return;
-    }
-
+  // filteri iz forme i sortiranje, zajedničko za popis i izvoz
+  const queryParams = (sortBy) => {
     const params = new URLSearchParams();
     Object.entries(form).forEach(([key, val]) => {
       if (val) params.append(key, val);
     });
+    if (sortBy.field) {
+      params.append("sort", `${sortBy.descending ? "-" : ""}${sortBy.field}`);
+    }
+    return params;
+  };
+
+  const fetchPlayers = (sortBy, page = 1) => {
+    if (VALUE_FIELDS.some((field) => errors[field])) {
+      alert("Ispravi grešku u unosu vrijednosti prije pretraživanja.");
+      return;
+    }
+
+    const params = queryParams(sortBy);
+    params.append("page", page);
+    params.append("pageSize", PAGE_SIZE);
 
-    fetch(`http://localhost:4000/api/players?${params.toString()}`)
+    apiFetch(`/api/players?${params.toString()}`)
       .then((res) => res.json())
-      .then((data) => setPlayers(data))
+      .then((data) => {
+        setPlayers(data.players || []);
+        setPaging({ page: data.page, total: data.total, hasMore: data.hasMore });
+      })
       .catch(console.error);
   };
 
+  const handleSearch = () => fetchPlayers(sort);
+
+  // preuzimanje svih igrača koji odgovaraju filterima (bez stranica)
+  const exportPlayers = (format) => {
+    const params = queryParams(sort);
+    params.append("format", format);
+    window.location.assign(`${API_URL}/api/players/export?${params.toString()}`);
+  };
+
+  const pickSuggestion = (player) => {
+    setShowSuggestions(false);
+    onSelect(player.player_id);
+  };
+
+  const handleNameKeyDown = (e) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      if (visibleSuggestions.length === 0) return;
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setActiveSuggestion(
+        (i) => (i + step + visibleSuggestions.length) % visibleSuggestions.length
+      );
+    } else if (e.key === "Enter") {
+      const picked = visibleSuggestions[activeSuggestion];
+      if (picked) {
+        pickSuggestion(picked);
+      } else {
+        setShowSuggestions(false);
+        handleSearch();
+      }
+    } else if (e.key === "Escape") {
+      setShowSuggestions(false);
+    }
+  };
+
+  const handleSort = (field) => {
+    const next = {
+      field,
+      descending: sort.field === field ? !sort.descending : false,
+    };
+    setSort(next);
+    fetchPlayers(next);
+  };
+
+  const totalPages = Math.max(1, Math.ceil(paging.total / PAGE_SIZE));
+
+  const sortIndicator = (field) => {
+    if (sort.field !== field) return "";
+    return sort.descending ? " ▼" : " ▲";
+  };
+
   return (
     <div className="players-list-container">
       <h2>Pretraži igrače</h2>
-      <input
-        name="name"
-        placeholder="Ime"
-        value={form.name}
-        onChange={handleChange}
-      />
+      <div className="name-search">
+        <input
+          name="name"
+          placeholder="Ime, klub ili agent"
+          autoComplete="off"
+          value={form.name}
+          onChange={(e) => {
+            handleChange(e);
+            setShowSuggestions(true);
+          }}
+          onFocus={() => setShowSuggestions(true)}
+          onBlur={() => setShowSuggestions(false)}
+          onKeyDown={handleNameKeyDown}
+        />
+        {visibleSuggestions.length > 0 && (
+          <ul className="search-suggestions">
+            {visibleSuggestions.map((p, idx) => (
+              <li
+                key={p.player_id}
+                className={idx === activeSuggestion ? "active" : ""}
+                // onMouseDown jer bi onBlur sakrio popis prije klika
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  pickSuggestion(p);
+                }}
+              >
+                <span>{p.given_name}</span>
+                <small>{[p.current_club, p.position].filter(Boolean).join(" · ")}</small>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
       <input
         name="citizenship"
         placeholder="Državljanstvo"
@@ -99,6 +255,26 @@ export function PlayersList({ onSelect }) {
       />
       {errors.value && <div style={{ color: "red" }}>{errors.value}</div>}
 
+      <div className="value-range">
+        <input
+          name="minValue"
+          placeholder="Min. vrijednost (npr. 5m)"
+          value={form.minValue}
+          onChange={handleChange}
+          style={{ borderColor: errors.minValue ? "red" : undefined }}
+        />
+        <input
+          name="maxValue"
+          placeholder="Maks. vrijednost (npr. 20m)"
+          value={form.maxValue}
+          onChange={handleChange}
+          style={{ borderColor: errors.maxValue ? "red" : undefined }}
+        />
+      </div>
+      {(errors.minValue || errors.maxValue) && (
+        <div style={{ color: "red" }}>{errors.minValue || errors.maxValue}</div>
+      )}
+
       <button
         onClick={handleSearch}
         disabled={!!errors.minValue || !!errors.maxValue}
@@ -106,20 +282,81 @@ export function PlayersList({ onSelect }) {
         Pretraži
       </button>
 
-      <ul>
-        {players.map((p) => (
-          <li
-            key={p.player_id}
-            onClick={() => onSelect(p.player_id)}
-            style={{ cursor: "pointer" }}
+      <table className="players-table">
+        <thead>
+          <tr>
+            <th title={`Usporedi (najviše ${maxCompare})`}>Usporedi</th>
+            <th className="sortable" onClick={() => handleSort("name")}>
+              Ime{sortIndicator("name")}
+            </th>
+            <th>Pozicija</th>
+            <th className="sortable" onClick={() => handleSort("age")}>
+              Dob{sortIndicator("age")}
+            </th>
+            <th className="sortable" onClick={() => handleSort("value")}>
+              Vrijednost{sortIndicator("value")}
+            </th>
+            {watchlists.length > 0 && <th>Popis</th>}
+          </tr>
+        </thead>
+        <tbody>
+          {players.map((p) => (
+            <tr key={p.player_id} onClick={() => onSelect(p.player_id)}>
+              <td onClick={(e) => e.stopPropagation()}>
+                <input
+                  type="checkbox"
+                  checked={compareIds.includes(p.player_id)}
+                  disabled={
+                    !compareIds.includes(p.player_id) && compareIds.length >= maxCompare
+                  }
+                  onChange={() => onToggleCompare(p.player_id)}
+                />
+              </td>
+              <td>{p.given_name || "Nepoznato"}</td>
+              <td>{p.clubPlayer?.Player_possition || "N/A"}</td>
+              <td>{calculateAge(p.date_of_birth)}</td>
+              <td>{formatValue(p)}</td>
+              {watchlists.length > 0 && (
+                <td onClick={(e) => e.stopPropagation()}>
+                  <AddToWatchlist
+                    playerId={p.player_id}
+                    lists={watchlists}
+                    onAdded={onWatchlistsChanged}
+                  />
+                </td>
+              )}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {canExport && paging.total > 0 && (
+        <div className="export-buttons">
+          Izvoz ({paging.total} igrača):
+          <button onClick={() => exportPlayers("csv")}>CSV</button>
+          <button onClick={() => exportPlayers("xlsx")}>Excel</button>
+        </div>
+      )}
+
+      {paging.total > 0 && (
+        <div className="pagination">
+          <button
+            onClick={() => fetchPlayers(sort, paging.page - 1)}
+            disabled={paging.page <= 1}
+          >
+            Prethodna
+          </button>
+          <span>
+            Stranica {paging.page} od {totalPages} ({paging.total} igrača)
+          </span>
+          <button
+            onClick={() => fetchPlayers(sort, paging.page + 1)}
+            disabled={!paging.hasMore}
           >
-            {p.given_name || "Nepoznato"} -
-            {p.clubPlayer?.Player_possition || "N/A"} -
-            {p.clubPlayer?.Player_MarketValue ||
-              (p.value ? `€${(p.value / 1_000_000).toFixed(2)}m` : "N/A")}
-          </li>
-        ))}
-      </ul>
+            Sljedeća
+          </button>
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,226 @@
+import React, { useEffect, useState } from "react";
+import "./Rankings.css";
+import { apiFetch } from "./api";
+import { formatEuro } from "./format";
+
+const RANKINGS = [
+  { id: "squads", label: "Najvrjednije momčadi" },
+  { id: "players", label: "Igrači po poziciji" },
+  { id: "nationalities", label: "Državljanstva" },
+  { id: "ages", label: "Prosječna dob momčadi" },
+];
+
+const LIMIT = 20;
+const PLAYERS_PER_POSITION = 5;
+
+function ClubCell({ row, onSelectClub }) {
+  return (
+    <td>
+      <button className="club-link" onClick={() => onSelectClub(row.club_id)}>
+        {row.club || row.club_id}
+      </button>
+    </td>
+  );
+}
+
+function RankingTable({ ranking, data, onSelectPlayer, onSelectClub }) {
+  if (ranking === "squads") {
+    if (data.squads.length === 0) return <p>Nema podataka.</p>;
+    return (
+      <table className="ranking-table">
+        <thead>
+          <tr>
+            <th>#</th>
+            <th>Klub</th>
+            <th>Liga</th>
+            <th>Igrača</th>
+            <th>Ukupna vrijednost</th>
+            <th>Prosječna vrijednost</th>
+          </tr>
+        </thead>
+        <tbody>
+          {data.squads.map((s) => (
+            <tr key={s.club_id}>
+              <td>{s.rank}</td>
+              <ClubCell row={s} onSelectClub={onSelectClub} />
+              <td>{s.league || "N/A"}</td>
+              <td>{s.players}</td>
+              <td>{formatEuro(s.totalValue)}</td>
+              <td>{formatEuro(s.averageValue)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    );
+  }
+
+  if (ranking === "players") {
+    if (data.positions.length === 0) return <p>Nema podataka.</p>;
+    return data.positions.map((p) => (
+      <div key={p.position}>
+        <h3>{p.position}</h3>
+        <table className="ranking-table">
+          <tbody>
+            {p.players.map((pl) => (
+              <tr
+                key={pl.player_id}
+                className="clickable"
+                onClick={() => onSelectPlayer(pl.player_id)}
+              >
+                <td>{pl.rank}</td>
+                <td>{pl.name || pl.player_id}</td>
+                <td>{pl.citizenship || "N/A"}</td>
+                <td>{pl.league || "N/A"}</td>
+                <td>{formatEuro(pl.marketValue)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    ));
+  }
+
+  if (ranking === "nationalities") {
+    if (data.nationalities.length === 0) return <p>Nema podataka.</p>;
+    return (
+      <table className="ranking-table">
+        <thead>
+          <tr>
+            <th>#</th>
+            <th>Državljanstvo</th>
+            <th>Igrača</th>
+            <th>Ukupna vrijednost</th>
+            <th>Prosječna vrijednost</th>
+          </tr>
+        </thead>
+        <tbody>
+          {data.nationalities.map((n) => (
+            <tr key={n.citizenship}>
+              <td>{n.rank}</td>
+              <td>{n.citizenship}</td>
+              <td>{n.players}</td>
+              <td>{formatEuro(n.totalValue)}</td>
+              <td>{formatEuro(n.averageValue)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    );
+  }
+
+  if (data.clubs.length === 0) return <p>Nema podataka.</p>;
+  return (
+    <table className="ranking-table">
+      <thead>
+        <tr>
+          <th>#</th>
+          <th>Klub</th>
+          <th>Liga</th>
+          <th>Igrača</th>
+          <th>Prosječna dob</th>
+        </tr>
+      </thead>
+      <tbody>
+        {data.clubs.map((c) => (
+          <tr key={c.club_id}>
+            <td>{c.rank}</td>
+            <ClubCell row={c} onSelectClub={onSelectClub} />
+            <td>{c.league || "N/A"}</td>
+            <td>{c.players}</td>
+            <td>{c.averageAge.toFixed(1)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+export function Rankings({ onSelectPlayer, onSelectClub }) {
+  const [seasons, setSeasons] = useState([]);
+  const [season, setSeason] = useState("");
+  const [league, setLeague] = useState("");
+  const [ranking, setRanking] = useState("squads");
+  const [data, setData] = useState(null);
+
+  useEffect(() => {
+    apiFetch("/api/stats/seasons")
+      .then((res) => res.json())
+      .then((list) => {
+        setSeasons(list);
+        if (list.length > 0) setSeason(String(list[0].season));
+      })
+      .catch(console.error);
+  }, []);
+
+  useEffect(() => {
+    if (!season) return;
+
+    const params = new URLSearchParams({
+      season,
+      limit: ranking === "players" ? PLAYERS_PER_POSITION : LIMIT,
+    });
+    if (league) params.append("league", league);
+
+    setData(null);
+    apiFetch(`/api/stats/${ranking}?${params.toString()}`)
+      .then((res) => res.json())
+      .then((result) => setData({ ranking, ...result }))
+      .catch(console.error);
+  }, [season, league, ranking]);
+
+  const leagues = seasons.find((s) => String(s.season) === season)?.leagues || [];
+
+  const changeSeason = (value) => {
+    setSeason(value);
+    // liga ne mora postojati u drugoj sezoni
+    const next = seasons.find((s) => String(s.season) === value)?.leagues || [];
+    if (!next.includes(league)) setLeague("");
+  };
+
+  return (
+    <div className="rankings-container">
+      <h2>Rang-liste</h2>
+
+      <div className="rankings-filters">
+        <label htmlFor="rankings-season">Sezona: </label>
+        <select id="rankings-season" value={season} onChange={(e) => changeSeason(e.target.value)}>
+          {seasons.map((s) => (
+            <option key={s.season} value={s.season}>
+              {s.season}/{String((s.season + 1) % 100).padStart(2, "0")}
+            </option>
+          ))}
+        </select>
+        <label htmlFor="rankings-league">Liga: </label>
+        <select id="rankings-league" value={league} onChange={(e) => setLeague(e.target.value)}>
+          <option value="">Sve lige</option>
+          {leagues.map((l) => (
+            <option key={l} value={l}>
+              {l}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="rankings-tabs">
+        {RANKINGS.map((r) => (
+          <button key={r.id} onClick={() => setRanking(r.id)} disabled={ranking === r.id}>
+            {r.label}
+          </button>
+        ))}
+      </div>
+
+      {!data || data.ranking !== ranking ? (
+        <p>Učitavanje...</p>
+      ) : data.message ? (
+        <p>{data.message}</p>
+      ) : (
+        <RankingTable
+          ranking={ranking}
+          data={data}
+          onSelectPlayer={onSelectPlayer}
+          onSelectClub={onSelectClub}
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,179 @@
+import React, { useEffect, useState } from "react";
+import "./TransferWindow.css";
+import { apiFetch } from "./api";
+import { formatEuro, formatFee } from "./format";
+
+function TransferTable({ transfers, onSelectPlayer }) {
+  if (transfers.length === 0) return <p>Nema transfera.</p>;
+
+  return (
+    <table className="transfer-table">
+      <thead>
+        <tr>
+          <th>Igrač</th>
+          <th>Iz</th>
+          <th>U</th>
+          <th>Datum</th>
+          <th>Vrijednost</th>
+          <th>Naknada</th>
+        </tr>
+      </thead>
+      <tbody>
+        {transfers.map((t, idx) => (
+          <tr key={`${t.player_id}-${idx}`} onClick={() => onSelectPlayer(t.player_id)}>
+            <td>{t.player_name || t.player_id}</td>
+            <td>{t.from || "N/A"}</td>
+            <td>{t.to || "N/A"}</td>
+            <td>{t.date ? new Date(t.date).toLocaleDateString("hr-HR") : "N/A"}</td>
+            <td>{t.market_value || "N/A"}</td>
+            <td>{formatFee(t)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+export function TransferWindow({ onSelectPlayer }) {
+  const [seasons, setSeasons] = useState([]);
+  const [season, setSeason] = useState("");
+  const [summary, setSummary] = useState(null);
+  const [selectedClub, setSelectedClub] = useState("");
+  const [clubTransfers, setClubTransfers] = useState([]);
+
+  useEffect(() => {
+    apiFetch("/api/transfers/seasons")
+      .then((res) => res.json())
+      .then((data) => {
+        setSeasons(data);
+        if (data.length > 0) setSeason(data[0]);
+      })
+      .catch(console.error);
+  }, []);
+
+  useEffect(() => {
+    if (!season) return;
+
+    setSelectedClub("");
+    apiFetch(`/api/transfers/summary?season=${encodeURIComponent(season)}`)
+      .then((res) => res.json())
+      .then(setSummary)
+      .catch(console.error);
+  }, [season]);
+
+  useEffect(() => {
+    if (!season || !selectedClub) return;
+
+    const params = new URLSearchParams({ season, club: selectedClub, pageSize: 200 });
+    apiFetch(`/api/transfers?${params.toString()}`)
+      .then((res) => res.json())
+      .then((data) => setClubTransfers(data.transfers || []))
+      .catch(console.error);
+  }, [season, selectedClub]);
+
+  // club filter na serveru traži po dijelu imena, ovdje se uzimaju samo točna poklapanja
+  const arrivals = clubTransfers.filter((t) => t.to === selectedClub);
+  const departures = clubTransfers.filter((t) => t.from === selectedClub);
+
+  return (
+    <div className="transfer-window-container">
+      <h2>Prijelazni rok</h2>
+
+      <div className="transfer-season">
+        <label htmlFor="transfer-season-select">Sezona: </label>
+        <select
+          id="transfer-season-select"
+          value={season}
+          onChange={(e) => setSeason(e.target.value)}
+        >
+          {seasons.map((s) => (
+            <option key={s} value={s}>
+              {s}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {!summary ? (
+        <p>Učitavanje...</p>
+      ) : (
+        <>
+          <p>
+            Broj transfera: <span>{summary.totalTransfers}</span>, ukupno plaćeno:{" "}
+            <span>{formatEuro(summary.totalFees)}</span>
+          </p>
+
+          <h3>Najskuplji transferi</h3>
+          <TransferTable transfers={summary.biggestFees} onSelectPlayer={onSelectPlayer} />
+
+          <h3>Neto potrošnja po ligama</h3>
+          <table className="transfer-table">
+            <thead>
+              <tr>
+                <th>Liga</th>
+                <th>Potrošeno</th>
+                <th>Zarađeno</th>
+                <th>Neto</th>
+              </tr>
+            </thead>
+            <tbody>
+              {summary.leagues.map((l) => (
+                <tr key={l.league}>
+                  <td>{l.league}</td>
+                  <td>{formatEuro(l.spend)}</td>
+                  <td>{formatEuro(l.income)}</td>
+                  <td className={l.netSpend > 0 ? "negative" : "positive"}>
+                    {formatEuro(Math.abs(l.netSpend))}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <h3>Klubovi</h3>
+          <table className="transfer-table">
+            <thead>
+              <tr>
+                <th>Klub</th>
+                <th>Liga</th>
+                <th>Dolasci</th>
+                <th>Odlasci</th>
+                <th>Potrošeno</th>
+                <th>Zarađeno</th>
+                <th>Neto</th>
+              </tr>
+            </thead>
+            <tbody>
+              {summary.clubs.map((c) => (
+                <tr
+                  key={c.club}
+                  className={c.club === selectedClub ? "selected" : undefined}
+                  onClick={() => setSelectedClub(c.club)}
+                >
+                  <td>{c.club}</td>
+                  <td>{c.league || "N/A"}</td>
+                  <td>{c.arrivals}</td>
+                  <td>{c.departures}</td>
+                  <td>{formatEuro(c.spend)}</td>
+                  <td>{formatEuro(c.income)}</td>
+                  <td className={c.netSpend > 0 ? "negative" : "positive"}>
+                    {formatEuro(Math.abs(c.netSpend))}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {selectedClub && (
+            <>
+              <h3>Dolasci: {selectedClub}</h3>
+              <TransferTable transfers={arrivals} onSelectPlayer={onSelectPlayer} />
+              <h3>Odlasci: {selectedClub}</h3>
+              <TransferTable transfers={departures} onSelectPlayer={onSelectPlayer} />
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,105 @@
+import React from "react";
+import "./ValueChart.css";
+import { formatEuro } from "./format";
+
+const WIDTH = 600;
+const HEIGHT = 240;
+const PADDING = { top: 20, right: 20, bottom: 30, left: 70 };
+const COLORS = ["#007bff", "#e8590c", "#2b8a3e", "#ae3ec9"];
+
+// Linijski graf tržišne vrijednosti kroz vrijeme.
+// series: [{ label, points: [{ date, value }] }]
+export function ValueChart({ series }) {
+  const lines = series
+    .map((s) => ({
+      ...s,
+      points: s.points.map((p) => ({ time: new Date(p.date).getTime(), value: p.value })),
+    }))
+    .filter((s) => s.points.length > 0);
+
+  const all = lines.flatMap((s) => s.points);
+  if (all.length === 0) return <p>Nema podataka o tržišnoj vrijednosti.</p>;
+
+  const minTime = Math.min(...all.map((p) => p.time));
+  const maxTime = Math.max(...all.map((p) => p.time));
+  const maxValue = Math.max(...all.map((p) => p.value));
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const x = (time) =>
+    PADDING.left +
+    (maxTime === minTime ? plotWidth / 2 : ((time - minTime) / (maxTime - minTime)) * plotWidth);
+  const y = (value) => PADDING.top + plotHeight - (value / maxValue) * plotHeight;
+
+  const firstYear = new Date(minTime).getFullYear();
+  const lastYear = new Date(maxTime).getFullYear();
+
+  return (
+    <div className="value-chart">
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label="Tržišna vrijednost">
+        <line
+          className="axis"
+          x1={PADDING.left}
+          y1={PADDING.top + plotHeight}
+          x2={WIDTH - PADDING.right}
+          y2={PADDING.top + plotHeight}
+        />
+        <line
+          className="axis"
+          x1={PADDING.left}
+          y1={PADDING.top}
+          x2={PADDING.left}
+          y2={PADDING.top + plotHeight}
+        />
+        <text className="label" x={PADDING.left - 8} y={PADDING.top + 4} textAnchor="end">
+          {formatEuro(maxValue)}
+        </text>
+        <text
+          className="label"
+          x={PADDING.left - 8}
+          y={PADDING.top + plotHeight}
+          textAnchor="end"
+        >
+          €0
+        </text>
+        <text className="label" x={PADDING.left} y={HEIGHT - 8}>
+          {firstYear}
+        </text>
+        <text className="label" x={WIDTH - PADDING.right} y={HEIGHT - 8} textAnchor="end">
+          {lastYear}
+        </text>
+
+        {lines.map((s, i) => {
+          const color = COLORS[i % COLORS.length];
+          return (
+            <g key={s.label}>
+              <polyline
+                fill="none"
+                stroke={color}
+                strokeWidth="2"
+                points={s.points.map((p) => `${x(p.time)},${y(p.value)}`).join(" ")}
+              />
+              {s.points.map((p, idx) => (
+                <circle key={idx} cx={x(p.time)} cy={y(p.value)} r="3.5" fill={color}>
+                  <title>
+                    {new Date(p.time).toLocaleDateString("hr-HR")}: {formatEuro(p.value)}
+                  </title>
+                </circle>
+              ))}
+            </g>
+          );
+        })}
+      </svg>
+
+      {lines.length > 1 && (
+        <div className="value-chart-legend">
+          {lines.map((s, i) => (
+            <span key={s.label} style={{ color: COLORS[i % COLORS.length] }}>
+              ● {s.label}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
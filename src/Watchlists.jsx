@@ -0,0 +1,232 @@
+import React, { useEffect, useState } from "react";
+import "./Watchlists.css";
+import { apiFetch, apiSend, errorText } from "./api";
+import { formatEuro, formatSignedEuro } from "./format";
+
+const PRIORITY_LABELS = { high: "Visok", medium: "Srednji", low: "Nizak" };
+
+const STATUS_LABELS = {
+  watching: "Praćenje",
+  scouted: "Skautiran",
+  contacted: "Kontaktiran",
+  negotiating: "Pregovori",
+  signed: "Potpisan",
+  dropped: "Odustali",
+};
+
+function Options({ labels }) {
+  return Object.entries(labels).map(([value, label]) => (
+    <option key={value} value={value}>
+      {label}
+    </option>
+  ));
+}
+
+function formatChange(change) {
+  if (change === null || change === undefined) return "N/A";
+  return <span className={change < 0 ? "value-down" : "value-up"}>{formatSignedEuro(change)}</span>;
+}
+
+// lists: sažetak popisa iz App-a, onListsChanged ga ponovno učitava
+export function Watchlists({ lists, onListsChanged, onSelectPlayer, onSelectClub }) {
+  const [selectedId, setSelectedId] = useState(null);
+  const [list, setList] = useState(null);
+  const [reload, setReload] = useState(0);
+  const [newName, setNewName] = useState("");
+  const [shareInput, setShareInput] = useState("");
+  const [error, setError] = useState("");
+
+  const activeId = lists.some((l) => l._id === selectedId) ? selectedId : lists[0]?._id;
+
+  useEffect(() => {
+    if (!activeId) return;
+
+    apiFetch(`/api/watchlists/${activeId}`)
+      .then((res) => res.json())
+      .then((data) => {
+        setList(data);
+        setShareInput((data.sharedWith || []).join(", "));
+      })
+      .catch(console.error);
+  }, [activeId, reload]);
+
+  // upis pa osvježavanje popisa; poruka greške ostaje iznad tablice
+  const send = (path, method, body) => {
+    setError("");
+    return apiSend(path, method, body)
+      .then(({ ok, data }) => {
+        if (!ok) {
+          setError(errorText(data));
+          return null;
+        }
+        setReload((n) => n + 1);
+        onListsChanged();
+        return data;
+      })
+      .catch(console.error);
+  };
+
+  const createList = () => {
+    send("/api/watchlists", "POST", { name: newName }).then((created) => {
+      if (!created) return;
+      setNewName("");
+      setSelectedId(created._id);
+    });
+  };
+
+  const deleteList = () => {
+    if (!window.confirm(`Obrisati popis "${list.name}"?`)) return;
+    send(`/api/watchlists/${list._id}`, "DELETE");
+  };
+
+  const share = () => {
+    const sharedWith = shareInput
+      .split(",")
+      .map((name) => name.trim())
+      .filter(Boolean);
+    send(`/api/watchlists/${list._id}`, "PUT", { sharedWith });
+  };
+
+  const updateEntry = (playerId, changes) =>
+    send(`/api/watchlists/${list._id}/players/${playerId}`, "PUT", changes);
+
+  const removeEntry = (playerId) =>
+    send(`/api/watchlists/${list._id}/players/${playerId}`, "DELETE");
+
+  const current = list && list._id === activeId ? list : null;
+
+  return (
+    <div className="watchlists-container">
+      <h2>Popisi igrača</h2>
+
+      <div className="watchlist-picker">
+        {lists.map((l) => (
+          <button key={l._id} onClick={() => setSelectedId(l._id)} disabled={l._id === activeId}>
+            {l.name} ({l.playerIds.length}){!l.isOwner && ` · ${l.owner}`}
+          </button>
+        ))}
+        <input
+          placeholder="Naziv novog popisa"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+        />
+        <button onClick={createList} disabled={!newName.trim()}>
+          Novi popis
+        </button>
+      </div>
+
+      {error && <p className="watchlist-error">{error}</p>}
+
+      {lists.length === 0 ? (
+        <p>Još nema popisa. Igrače dodajete iz popisa igrača ili s profila igrača.</p>
+      ) : !current ? (
+        <p>Učitavanje...</p>
+      ) : (
+        <>
+          <h3>{current.name}</h3>
+          <p>
+            Vlasnik: {current.owner}
+            {current.sharedWith.length > 0 && ` · podijeljeno s: ${current.sharedWith.join(", ")}`}
+          </p>
+          <p className="watchlist-summary">
+            {current.summary.players} igrača · ukupno {formatEuro(current.summary.totalValue)} ·
+            promjena od dodavanja {formatChange(current.summary.valueChange)} · ugovor istječe u 12
+            mjeseci: {current.summary.expiringSoon}
+          </p>
+
+          {current.isOwner && (
+            <div className="watchlist-share">
+              <input
+                placeholder="Korisnička imena, odvojena zarezom"
+                value={shareInput}
+                onChange={(e) => setShareInput(e.target.value)}
+              />
+              <button onClick={share}>Podijeli</button>
+              <button onClick={deleteList}>Obriši popis</button>
+            </div>
+          )}
+
+          {current.entries.length === 0 ? (
+            <p>Na popisu nema igrača.</p>
+          ) : (
+            <table className="watchlist-table">
+              <thead>
+                <tr>
+                  <th>Igrač</th>
+                  <th>Klub</th>
+                  <th>Pozicija</th>
+                  <th>Vrijednost</th>
+                  <th>Od dodavanja</th>
+                  <th>Zadnja sezona</th>
+                  <th>Ugovor do</th>
+                  <th>Prioritet</th>
+                  <th>Status</th>
+                  <th>Bilješka</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {current.entries.map((e) => (
+                  <tr key={e.player_id} className={`priority-${e.priority}`}>
+                    <td>
+                      <button className="club-link" onClick={() => onSelectPlayer(e.player_id)}>
+                        {e.name || e.player_id}
+                      </button>
+                    </td>
+                    <td>
+                      {e.clubId ? (
+                        <button className="club-link" onClick={() => onSelectClub(e.clubId)}>
+                          {e.currentClub || e.clubId}
+                        </button>
+                      ) : (
+                        e.currentClub || "N/A"
+                      )}
+                    </td>
+                    <td>{e.position || "N/A"}</td>
+                    <td>{formatEuro(e.value)}</td>
+                    <td>{formatChange(e.valueChange)}</td>
+                    <td>{formatChange(e.changeSinceLastSeason?.value)}</td>
+                    <td className={e.daysLeft !== null && e.daysLeft <= 365 ? "expiring" : ""}>
+                      {e.contractExpires ? e.contractExpires.slice(0, 10) : "N/A"}
+                      {e.daysLeft !== null && e.daysLeft >= 0 && ` (${e.daysLeft} d)`}
+                    </td>
+                    <td>
+                      <select
+                        value={e.priority}
+                        onChange={(ev) => updateEntry(e.player_id, { priority: ev.target.value })}
+                      >
+                        <Options labels={PRIORITY_LABELS} />
+                      </select>
+                    </td>
+                    <td>
+                      <select
+                        value={e.status}
+                        onChange={(ev) => updateEntry(e.player_id, { status: ev.target.value })}
+                      >
+                        <Options labels={STATUS_LABELS} />
+                      </select>
+                    </td>
+                    <td>
+                      <input
+                        key={e.note}
+                        defaultValue={e.note}
+                        title={e.addedBy ? `Dodao/la: ${e.addedBy}` : undefined}
+                        onBlur={(ev) =>
+                          ev.target.value !== e.note &&
+                          updateEntry(e.player_id, { note: ev.target.value })
+                        }
+                      />
+                    </td>
+                    <td>
+                      <button onClick={() => removeEntry(e.player_id)}>Ukloni</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,35 @@
+// Adresa API-ja i fetch koji šalje kolačić sesije (prijava, server/auth.js)
+
+export const API_URL = "http://localhost:4000";
+
+// Uloge redom po ovlastima, kao na serveru
+export const ROLES = ["viewer", "analyst", "editor", "admin"];
+
+export const hasRole = (user, role) => ROLES.indexOf(user?.role) >= ROLES.indexOf(role);
+
+let onUnauthorized = () => {};
+
+// App ovdje postavlja odjavu kad sesija istekne (server vrati 401)
+export function setUnauthorizedHandler(handler) {
+  onUnauthorized = handler;
+}
+
+export function apiFetch(path, options = {}) {
+  return fetch(`${API_URL}${path}`, { credentials: "include", ...options }).then((res) => {
+    if (res.status === 401) onUnauthorized();
+    return res;
+  });
+}
+
+// JSON upis (POST/PUT/DELETE); vraća { ok, data } i kad server odbije zahtjev
+export function apiSend(path, method, body) {
+  return apiFetch(path, {
+    method,
+    headers: { "Content-Type": "application/json" },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  }).then((res) => res.json().then((data) => ({ ok: res.ok, data })));
+}
+
+// Poruka za korisnika iz odgovora s greškom (prva greška polja ili opća poruka)
+export const errorText = (data) =>
+  Object.values(data.errors || {})[0] || data.message || data.error || "Greška";
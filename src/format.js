@@ -0,0 +1,48 @@
+// Zajedničko formatiranje vrijednosti i datuma za komponente
+
+export function formatEuro(value) {
+  if (!value) return "N/A";
+  if (value >= 1_000_000) return `€${(value / 1_000_000).toFixed(2)}m`;
+  return `€${Math.round(value / 1_000)}k`;
+}
+
+// Iznos s predznakom (bilanca, neto potrošnja)
+export function formatSignedEuro(value) {
+  if (!value) return "€0";
+  return `${value < 0 ? "-" : "+"}${formatEuro(Math.abs(value))}`;
+}
+
+export const FEE_TYPE_LABELS = {
+  paid: "Transfer",
+  free: "Slobodan transfer",
+  loan: "Posudba",
+  loan_fee: "Posudba uz naknadu",
+  end_of_loan: "Kraj posudbe",
+  unknown: "Nepoznato",
+};
+
+// Naknada transfera s poljima feeType i feeAmount (kao u /api/transfers)
+export function formatFee(t) {
+  return t.feeAmount ? formatEuro(t.feeAmount) : FEE_TYPE_LABELS[t.feeType] || t.fee;
+}
+
+export function calculateAge(dateOfBirth) {
+  const birth = new Date(dateOfBirth);
+  if (!dateOfBirth || isNaN(birth.getTime())) return "N/A";
+  const now = new Date();
+  let age = now.getFullYear() - birth.getFullYear();
+  const beforeBirthday =
+    now.getMonth() < birth.getMonth() ||
+    (now.getMonth() === birth.getMonth() && now.getDate() < birth.getDate());
+  return beforeBirthday ? age - 1 : age;
+}
+
+// Igrač je u zadnjoj godini ugovora ako ugovor istječe u sljedećih 12 mjeseci
+export function isFinalContractYear(contractExpires) {
+  const expires = new Date(contractExpires);
+  if (!contractExpires || isNaN(expires.getTime())) return false;
+  const now = new Date();
+  const yearFromNow = new Date(now);
+  yearFromNow.setFullYear(now.getFullYear() + 1);
+  return expires >= now && expires <= yearFromNow;
+}